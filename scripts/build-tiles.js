@@ -0,0 +1,60 @@
+import sharp from 'sharp';
+import { readdirSync, existsSync, mkdirSync, statSync, writeFileSync, rmSync } from 'fs';
+import { join, basename, extname } from 'path';
+
+// Deep-zoom tile pyramids for the letter scans, loaded on demand by the viewer
+const inputDir = './public/assets/letters';
+const outputDir = './public/assets/letters/tiles';
+const publicPath = '/assets/letters/tiles';
+const TILE_SIZE = 256;
+const TILE_OVERLAP = 1;
+const force = process.argv.includes('--force');
+
+if (!existsSync(outputDir)) {
+  mkdirSync(outputDir, { recursive: true });
+}
+
+const images = readdirSync(inputDir).filter(file => /\.(jpe?g|png|webp)$/i.test(file));
+
+console.log(`Found ${images.length} scans to tile (${TILE_SIZE}px tiles, Deep Zoom layout)...\n`);
+
+const manifest = {};
+let built = 0;
+
+for (const file of images) {
+  const name = basename(file, extname(file));
+  const inputPath = join(inputDir, file);
+  const descriptorPath = join(outputDir, `${name}.dzi`);
+
+  try {
+    const { width, height } = await sharp(inputPath).metadata();
+
+    // Skip scans whose tiles are newer than the source
+    const upToDate = existsSync(descriptorPath) && statSync(descriptorPath).mtimeMs >= statSync(inputPath).mtimeMs;
+    if (force || !upToDate) {
+      rmSync(join(outputDir, `${name}_files`), { recursive: true, force: true });
+      await sharp(inputPath)
+        .jpeg({ quality: 90 })
+        .tile({ size: TILE_SIZE, overlap: TILE_OVERLAP, layout: 'dz' })
+        .toFile(join(outputDir, `${name}.dz`));
+      built++;
+      console.log(`  ✓ ${file} (${width}x${height})`);
+    }
+
+    manifest[`/assets/letters/${file}`] = {
+      tiles: `${publicPath}/${name}_files`,
+      width,
+      height,
+      tileSize: TILE_SIZE,
+      overlap: TILE_OVERLAP,
+      format: 'jpeg'
+    };
+  } catch (error) {
+    console.error(`  ✗ ${file}: ${error.message}`);
+  }
+}
+
+writeFileSync(join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+console.log(`\n✓ Tiled ${built} scan(s), ${Object.keys(manifest).length - built} already up to date`);
+console.log(`Manifest written to ${join(outputDir, 'manifest.json')}`);
@@ -0,0 +1,199 @@
+import { Document, NodeIO } from '@gltf-transform/core';
+import { KHRMeshQuantization } from '@gltf-transform/extensions';
+import { dedup, prune, quantize, weld } from '@gltf-transform/functions';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { loadSceneManifest } from '../src/data/sceneManifest.js';
+
+// Intro scene models: legacy Three.js JSON (formatVersion 3.1) to quantised GLBs.
+// Converts every asset of the scene manifest that has a `source` (kept in assets-src/, out of
+// the build) into its `model` next to the manifest.
+const manifestPath = process.argv.slice(2).find(arg => !arg.startsWith('--')) ?? './public/3d_sednaya/scene.json';
+const inputDir = dirname(manifestPath);
+const force = process.argv.includes('--force');
+
+// Face type bits of the legacy format
+const QUAD = 1;
+const FACE_MATERIAL = 2;
+const FACE_UV = 4;
+const FACE_VERTEX_UV = 8;
+const FACE_NORMAL = 16;
+const FACE_VERTEX_NORMAL = 32;
+const FACE_COLOR = 64;
+const FACE_VERTEX_COLOR = 128;
+
+/**
+ * Triangles of a legacy model, split by material index
+ * @returns {Map<number, { positions: number[], normals: number[], uvs: number[] }>}
+ */
+function parseLegacy(json) {
+  const { vertices, faces } = json;
+  const scale = json.scale ? 1 / json.scale : 1;
+  const normals = json.normals ?? [];
+  const uvs = json.uvs?.[0] ?? []; // First UV layer
+  const parts = new Map();
+
+  let i = 0;
+  while (i < faces.length) {
+    const type = faces[i++];
+    const count = type & QUAD ? 4 : 3;
+
+    const vertexIndices = faces.slice(i, i + count);
+    i += count;
+    const materialIndex = type & FACE_MATERIAL ? faces[i++] : 0;
+    if (type & FACE_UV) i++;
+    const uvIndices = type & FACE_VERTEX_UV ? faces.slice(i, i + count) : null;
+    if (uvIndices) i += count;
+    if (type & FACE_NORMAL) i++;
+    const normalIndices = type & FACE_VERTEX_NORMAL ? faces.slice(i, i + count) : null;
+    if (normalIndices) i += count;
+    if (type & FACE_COLOR) i++;
+    if (type & FACE_VERTEX_COLOR) i += count;
+
+    if (!parts.has(materialIndex)) {
+      parts.set(materialIndex, { positions: [], normals: [], uvs: [] });
+    }
+    const part = parts.get(materialIndex);
+
+    const triangles = count === 4 ? [[0, 1, 2], [0, 2, 3]] : [[0, 1, 2]];
+    for (const triangle of triangles) {
+      const corners = triangle.map(v => vertexIndices[v]).map(index => [
+        vertices[index * 3] * scale,
+        vertices[index * 3 + 1] * scale,
+        vertices[index * 3 + 2] * scale
+      ]);
+      corners.forEach(corner => part.positions.push(...corner));
+
+      if (normalIndices) {
+        triangle.forEach(v => {
+          const index = normalIndices[v];
+          part.normals.push(normals[index * 3], normals[index * 3 + 1], normals[index * 3 + 2]);
+        });
+      } else {
+        // Flat shading, as computeVertexNormals gave the unindexed triangles
+        const normal = faceNormal(...corners);
+        triangle.forEach(() => part.normals.push(...normal));
+      }
+
+      if (uvIndices) {
+        // glTF puts the UV origin at the top left
+        triangle.forEach(v => {
+          const index = uvIndices[v];
+          part.uvs.push(uvs[index * 2] ?? 0, 1 - (uvs[index * 2 + 1] ?? 0));
+        });
+      }
+    }
+  }
+
+  return parts;
+}
+
+function faceNormal(a, b, c) {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const n = [ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]];
+  const length = Math.hypot(...n) || 1;
+  return n.map(value => value / length);
+}
+
+function boundingBoxCenter(parts) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const { positions } of parts.values()) {
+    for (let i = 0; i < positions.length; i++) {
+      min[i % 3] = Math.min(min[i % 3], positions[i]);
+      max[i % 3] = Math.max(max[i % 3], positions[i]);
+    }
+  }
+  return min.map((value, axis) => (value + max[axis]) / 2);
+}
+
+// 0x888888 in linear values, the old loader's colour for files without materials
+const DEFAULT_COLOR = [0.246, 0.246, 0.246, 1];
+
+// Material overrides (textures, colours, unlit) come from the manifest when the intro loads
+function createMaterial(document, legacy) {
+  // Matte, two-sided surfaces, like the Lambert materials of the old loader
+  const material = document.createMaterial(legacy?.DbgName ?? 'default')
+    .setMetallicFactor(0)
+    .setRoughnessFactor(1)
+    .setDoubleSided(true);
+
+  if (legacy?.colorDiffuse) {
+    // The old loader took colorDiffuse as linear values
+    const opacity = legacy.opacity ?? 1;
+    material.setBaseColorFactor([...legacy.colorDiffuse, opacity < 1 ? opacity : 1]);
+    if (opacity < 1) material.setAlphaMode('BLEND');
+  } else {
+    material.setBaseColorFactor(DEFAULT_COLOR);
+  }
+
+  return material;
+}
+
+function buildDocument(asset, json, parts, center) {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const mesh = document.createMesh(asset.id);
+
+  for (const [materialIndex, part] of parts) {
+    // Centre on the origin asset (the building), as the intro used to do with mesh.position
+    for (let i = 0; i < part.positions.length; i++) {
+      part.positions[i] -= center[i % 3];
+    }
+
+    const primitive = document.createPrimitive()
+      .setAttribute('POSITION', document.createAccessor().setType('VEC3').setArray(new Float32Array(part.positions)).setBuffer(buffer))
+      .setAttribute('NORMAL', document.createAccessor().setType('VEC3').setArray(new Float32Array(part.normals)).setBuffer(buffer))
+      .setMaterial(createMaterial(document, json.materials?.[materialIndex]));
+    if (part.uvs.length > 0) {
+      primitive.setAttribute('TEXCOORD_0', document.createAccessor().setType('VEC2').setArray(new Float32Array(part.uvs)).setBuffer(buffer));
+    }
+    mesh.addPrimitive(primitive);
+  }
+
+  const node = document.createNode(asset.id).setMesh(mesh);
+  document.createScene(asset.id).addChild(node).setExtras({ origin: center });
+  return document;
+}
+
+const io = new NodeIO().registerExtensions([KHRMeshQuantization]);
+
+const manifest = loadSceneManifest(JSON.parse(readFileSync(manifestPath, 'utf8')));
+const assets = manifest.assets.filter(asset => asset.source);
+const readSource = (asset) => JSON.parse(readFileSync(join(inputDir, asset.source), 'utf8'));
+
+console.log(`Converting ${assets.length} model(s) of "${manifest.name}" (weld, quantize)...\n`);
+
+// The centre of the origin asset's bounding box becomes the origin of every model
+const originAsset = assets.find(asset => asset.origin);
+const center = originAsset ? boundingBoxCenter(parseLegacy(readSource(originAsset))) : [0, 0, 0];
+
+let converted = 0;
+let failed = 0;
+
+for (const asset of assets) {
+  const inputPath = join(inputDir, asset.source);
+  const outputPath = join(inputDir, asset.model);
+
+  try {
+    // Skip models newer than their source
+    const upToDate = existsSync(outputPath) && statSync(outputPath).mtimeMs >= statSync(inputPath).mtimeMs;
+    if (!force && upToDate) continue;
+
+    const json = readSource(asset);
+    const document = buildDocument(asset, json, parseLegacy(json), center);
+    await document.transform(dedup(), weld(), quantize(), prune());
+    await io.write(outputPath, document);
+
+    converted++;
+    const sizeKB = (size) => Math.round(size / 1024);
+    console.log(`  ✓ ${asset.source} (${sizeKB(statSync(inputPath).size)} KB) → ${asset.model} (${sizeKB(statSync(outputPath).size)} KB)`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${asset.id}: ${error.message}`);
+  }
+}
+
+console.log(`\n✓ Converted ${converted} model(s), ${assets.length - converted - failed} already up to date`);
+console.log(`Origin: (${center.map(value => value.toFixed(3)).join(', ')})${originAsset ? ` (centre of ${originAsset.id})` : ''}`);
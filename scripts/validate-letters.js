@@ -0,0 +1,55 @@
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { validateLetters, formatProblem, LETTER_SCHEMA } from '../src/data/letterSchema.js';
+
+const cataloguePath = './src/data/letters.json';
+const publicDir = './public';
+
+console.log(`Validating ${cataloguePath}...\n`);
+
+let entries;
+try {
+  entries = JSON.parse(readFileSync(cataloguePath, 'utf8'));
+} catch (error) {
+  console.error(`✗ Could not read ${cataloguePath}: ${error.message}`);
+  process.exit(1);
+}
+
+const { letters, problems } = validateLetters(entries);
+
+if (problems.length > 0) {
+  console.error(`✗ ${problems.length} problem(s) found:`);
+  problems.forEach(problem => console.error(formatProblem(problem)));
+} else {
+  console.log(`✓ ${letters.length} letters match the schema`);
+}
+
+// Referenced files that are not in public/ (audio is often deployed separately,
+// so these are reported as warnings only)
+const assetFields = Object.entries(LETTER_SCHEMA)
+  .filter(([, field]) => field.type === 'asset')
+  .map(([key]) => key);
+
+const missing = new Map();
+letters.forEach(letter => {
+  assetFields.forEach(key => {
+    const value = letter[key];
+    // Localized assets are language maps
+    const paths = value && typeof value === 'object' ? Object.values(value) : [value];
+    paths.forEach(path => {
+      if (path && !existsSync(join(publicDir, path))) {
+        if (!missing.has(path)) missing.set(path, []);
+        missing.get(path).push(letter.id);
+      }
+    });
+  });
+});
+
+if (missing.size > 0) {
+  console.warn(`\n⚠ ${missing.size} referenced file(s) missing from ${publicDir}:`);
+  missing.forEach((ids, path) => {
+    console.warn(`  - ${path} (letters ${ids.join(', ')})`);
+  });
+}
+
+process.exit(problems.length > 0 ? 1 : 0);
@@ -0,0 +1,120 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync } from 'fs';
+import { join, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+// Vite plugins for offline use: a self-hosted Draco decoder and the service worker's precache manifest
+
+const DRACO_DIR = fileURLToPath(new URL('../node_modules/three/examples/jsm/libs/draco/', import.meta.url));
+const DRACO_FILES = ['draco_decoder.wasm', 'draco_wasm_wrapper.js', 'draco_decoder.js'];
+
+/**
+ * Serve three's Draco decoder under /<dir>/ in dev and copy it into the build,
+ * instead of loading it from a CDN
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Output folder, as set with DRACOLoader.setDecoderPath()
+ */
+export function dracoDecoder({ dir = 'draco' } = {}) {
+  return {
+    name: 'draco-decoder',
+
+    configureServer(server) {
+      server.middlewares.use(`/${dir}`, (req, res, next) => {
+        const file = req.url.slice(1).split('?')[0];
+        if (!DRACO_FILES.includes(file)) return next();
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        res.end(readFileSync(join(DRACO_DIR, file)));
+      });
+    },
+
+    generateBundle() {
+      DRACO_FILES.forEach(file => {
+        this.emitFile({ type: 'asset', fileName: `${dir}/${file}`, source: readFileSync(join(DRACO_DIR, file)) });
+      });
+    }
+  };
+}
+
+// Minimal globs: ** spans folders, * stays within one
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/|\*\*|\*/g, token => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*' })[token]);
+  return new RegExp(`^${source}$`);
+}
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  });
+}
+
+/**
+ * After the build, list every output file with a content hash in
+ * precache-manifest.json, and write the service worker with that manifest's
+ * URL and version filled in. Files matching `shell` are cached when the
+ * service worker installs; the rest form the archive, cached as they are
+ * fetched or all at once in offline mode.
+ *
+ * @param {Object} options
+ * @param {string} options.serviceWorker - Service worker source, written to sw.js
+ * @param {Array<string>} [options.shell] - Globs of the app shell (the bundle's own files always are)
+ * @param {Array<string>} [options.exclude] - Globs of files that are never cached
+ */
+export function precacheManifest({ serviceWorker, shell = [], exclude = [] }) {
+  const shellPatterns = shell.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  const manifestFile = 'precache-manifest.json';
+  const workerFile = 'sw.js';
+  let root = null;
+  let outDir = null;
+  let bundleFiles = new Set();
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+
+    configResolved(config) {
+      root = config.root;
+      outDir = resolve(config.root, config.build.outDir);
+    },
+
+    generateBundle(options, bundle) {
+      bundleFiles = new Set(Object.keys(bundle));
+    },
+
+    closeBundle() {
+      const manifest = { version: null, shell: [], archive: [] };
+      const versionHash = createHash('sha256');
+
+      listFiles(outDir)
+        .map(path => relative(outDir, path).split(sep).join('/'))
+        .filter(file => file !== manifestFile && file !== workerFile)
+        .filter(file => !excludePatterns.some(pattern => pattern.test(file)))
+        .sort()
+        .forEach(file => {
+          const content = readFileSync(join(outDir, file));
+          const entry = {
+            url: encodeURI(`/${file}`),
+            revision: createHash('md5').update(content).digest('hex').slice(0, 16),
+            size: content.length
+          };
+          const isShell = bundleFiles.has(file) || shellPatterns.some(pattern => pattern.test(file));
+          manifest[isShell ? 'shell' : 'archive'].push(entry);
+          versionHash.update(`${entry.url} ${entry.revision}\n`);
+        });
+
+      manifest.version = versionHash.digest('hex').slice(0, 16);
+      writeFileSync(join(outDir, manifestFile), JSON.stringify(manifest));
+
+      const worker = readFileSync(resolve(root, serviceWorker), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST_URL__', JSON.stringify(`/${manifestFile}`))
+        .replace('self.__PRECACHE_VERSION__', JSON.stringify(manifest.version));
+      writeFileSync(join(outDir, workerFile), worker);
+
+      const megabytes = (entries) => (entries.reduce((sum, entry) => sum + entry.size, 0) / 1048576).toFixed(1);
+      console.log(`Precache manifest ${manifest.version}: shell ${manifest.shell.length} files (${megabytes(manifest.shell)} MB), archive ${manifest.archive.length} files (${megabytes(manifest.archive)} MB)`);
+    }
+  };
+}
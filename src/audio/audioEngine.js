@@ -1,15 +1,83 @@
+import * as THREE from 'three';
 import { Howl, Howler } from 'howler';
-import { AUDIO } from '@config/constants.js';
+import { AUDIO, LANGUAGE } from '@config/constants.js';
+import { resolveLocalized } from '@utils/i18n.js';
+import { themeMixer } from './themeMixer.js';
+import { soundscape } from './soundscape.js';
+
+// Scratch vectors for the per-frame listener update
+const _listenerPosition = new THREE.Vector3();
+const _listenerForward = new THREE.Vector3();
+const _listenerUp = new THREE.Vector3();
+const _emitterPosition = new THREE.Vector3();
 
 export class AudioEngine {
   constructor() {
-    this.backgroundTheme = null;
     this.currentNarration = null;
+    this.currentLetterId = null;
+    this.narrationEmitter = null;
     this.narrations = {};
     this.narrationUrls = {};
+    this.narrationSources = {};
+    this.narrationStartListeners = new Set();
+    this.narrationEndListeners = new Set();
+    this.language = LANGUAGE.DEFAULT;
+    this.volume = 1;
+    this.muted = false;
     this.isInitialized = false;
   }
 
+  /**
+   * Master volume for everything (themes, soundscape, narrations)
+   * @param {number} volume - 0 to 1
+   */
+  setVolume(volume) {
+    this.volume = volume;
+    Howler.volume(volume);
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    Howler.mute(muted);
+    console.log(`Audio ${muted ? 'muted' : 'unmuted'}`);
+  }
+
+  /**
+   * Subscribe to narrations starting to play (also called on resume)
+   * @param {function(number)} listener - Called with the letter id
+   * @returns {function} Unsubscribe function
+   */
+  onNarrationStart(listener) {
+    this.narrationStartListeners.add(listener);
+    return () => this.narrationStartListeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to narrations finishing (or failing to load)
+   * @param {function(number)} listener - Called with the letter id
+   * @returns {function} Unsubscribe function
+   */
+  onNarrationEnd(listener) {
+    this.narrationEndListeners.add(listener);
+    return () => this.narrationEndListeners.delete(listener);
+  }
+
+  /**
+   * Forget a narration that finished or failed and tell listeners
+   */
+  finishNarration(letterId) {
+    // A finished narration is no longer current (so resume() won't replay it)
+    if (this.currentNarration === this.narrations[letterId]) {
+      this.currentNarration = null;
+      this.currentLetterId = null;
+      this.narrationEmitter = null;
+    }
+    // Restore theme volume when narration ends
+    this.duckAmbience(false);
+
+    this.narrationEndListeners.forEach(listener => listener(letterId));
+  }
+
   init() {
     if (this.isInitialized) return;
     
@@ -22,26 +90,64 @@ export class AudioEngine {
     this.isInitialized = true;
   }
 
+  /**
+   * Start the ambient bed. Theme tracks (including this one) are owned by
+   * the ThemeMixer; the engine only ducks them around narrations.
+   */
   playBackgroundTheme(url) {
-    if (this.backgroundTheme) {
-      this.backgroundTheme.stop();
-    }
-    
-    this.backgroundTheme = new Howl({
-      src: [url],
-      loop: true,
-      volume: AUDIO.THEME_VOLUME,
-      html5: true,
-      onload: () => console.log('Background theme loaded'),
-      onloaderror: (id, error) => console.error('Error loading background theme:', error)
-    });
-    
-    this.backgroundTheme.play();
+    themeMixer.setAmbient(url);
     console.log('Playing background theme:', url);
   }
 
-  registerNarration(letterId, url) {
-    this.narrationUrls[letterId] = url;
+  /**
+   * Register the narration for a letter
+   * @param {number} letterId - Letter id
+   * @param {string|Object<string, string>} narration - URL, or map of language code to URL
+   */
+  registerNarration(letterId, narration) {
+    this.narrationSources[letterId] = narration;
+    this.narrationUrls[letterId] = resolveLocalized(narration, this.language);
+  }
+
+  hasNarration(letterId) {
+    return Boolean(this.narrationUrls[letterId]);
+  }
+
+  /**
+   * Switch narrations to another language. Letters without a recording in
+   * that language keep falling back to the closest available one.
+   */
+  setLanguage(language) {
+    if (language === this.language) return;
+    this.language = language;
+
+    Object.entries(this.narrationSources).forEach(([key, narration]) => {
+      const url = resolveLocalized(narration, language);
+      if (url === this.narrationUrls[key]) return;
+
+      this.narrationUrls[key] = url;
+      const cached = this.narrations[key];
+      if (!cached) return;
+
+      // Drop the cached Howl so the next playback loads the new recording
+      cached.unload();
+      delete this.narrations[key];
+
+      // Swap the active narration in place; it restarts on resume()
+      if (cached === this.currentNarration) {
+        this.currentNarration = null;
+        if (url) {
+          this.loadNarration(Number(key), url);
+          this.currentNarration = this.narrations[key];
+        } else {
+          // Nothing to play in this language: clear it as stop does, and let listeners (the tour) move on
+          this.stopNarration();
+          this.finishNarration(Number(key));
+        }
+      }
+    });
+
+    console.log(`Narration language set to ${language}`);
   }
 
   loadNarration(letterId, url) {
@@ -50,23 +156,41 @@ export class AudioEngine {
         src: [url],
         loop: false,
         volume: AUDIO.NARRATION_VOLUME,
+        // Spatial audio: positioned at the letter, panned with HRTF
+        pos: [0, 0, 0],
+        panningModel: AUDIO.NARRATION_PANNING_MODEL,
+        distanceModel: AUDIO.NARRATION_DISTANCE_MODEL,
+        refDistance: AUDIO.NARRATION_REF_DISTANCE,
+        rolloffFactor: AUDIO.NARRATION_ROLLOFF_FACTOR,
+        maxDistance: AUDIO.NARRATION_MAX_DISTANCE,
         onload: () => console.log(`Narration ${letterId} loaded`),
-        onloaderror: (id, error) => console.error(`Error loading narration ${letterId}:`, error),
+        onplay: () => {
+          this.narrationStartListeners.forEach(listener => listener(letterId));
+        },
+        onloaderror: (id, error) => {
+          console.error(`Error loading narration ${letterId}:`, error);
+          this.finishNarration(letterId);
+        },
         onend: () => {
           console.log(`Narration ${letterId} ended`);
-          // Restore theme volume when narration ends
-          if (this.backgroundTheme) {
-            this.backgroundTheme.fade(this.backgroundTheme.volume(), AUDIO.THEME_VOLUME, AUDIO.FADE_DURATION);
-          }
+          this.finishNarration(letterId);
         }
       });
     }
   }
 
-  playNarration(letterId) {
+  /**
+   * Play a letter's narration
+   * @param {number} letterId - Letter id
+   * @param {THREE.Object3D} [emitter] - Object the voice comes from (its world position is tracked every frame)
+   */
+  playNarration(letterId, emitter = null) {
     // Stop current narration if playing
     if (this.currentNarration) {
       this.currentNarration.stop();
+      this.currentNarration = null;
+      this.currentLetterId = null;
+      this.narrationEmitter = null;
     }
 
     // Lazy load if not already loaded
@@ -81,14 +205,17 @@ export class AudioEngine {
       return;
     }
 
-    // Duck the background theme
-    if (this.backgroundTheme && this.backgroundTheme.playing()) {
-      this.backgroundTheme.fade(this.backgroundTheme.volume(), AUDIO.DUCKING_VOLUME, AUDIO.FADE_DURATION);
-    }
+    // Duck the theme mix
+    this.duckAmbience(true);
+
+    // Place the voice at the letter before it starts
+    this.narrationEmitter = emitter;
+    this.updateEmitter(narration);
 
     // Play the narration
     narration.play();
     this.currentNarration = narration;
+    this.currentLetterId = letterId;
     console.log(`Playing narration for letter ${letterId}`);
   }
 
@@ -97,18 +224,67 @@ export class AudioEngine {
       this.currentNarration.stop();
       this.currentNarration = null;
     }
+    this.currentLetterId = null;
+    this.narrationEmitter = null;
 
     // Restore theme volume
-    if (this.backgroundTheme && this.backgroundTheme.playing()) {
-      this.backgroundTheme.fade(this.backgroundTheme.volume(), AUDIO.THEME_VOLUME, AUDIO.FADE_DURATION);
+    this.duckAmbience(false);
+  }
+
+  /**
+   * Lower theme tracks and soundscape layers under a narration
+   */
+  duckAmbience(ducked) {
+    themeMixer.setDucked(ducked);
+    soundscape.setDucked(ducked);
+  }
+
+  /**
+   * Move the Web Audio listener to the camera and keep the current narration
+   * at its emitter. Call once per frame.
+   * @param {THREE.Camera} camera
+   */
+  updateListener(camera) {
+    if (!Howler.ctx) return;
+
+    camera.getWorldPosition(_listenerPosition);
+    camera.getWorldDirection(_listenerForward);
+    _listenerUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+
+    Howler.pos(_listenerPosition.x, _listenerPosition.y, _listenerPosition.z);
+    Howler.orientation(
+      _listenerForward.x, _listenerForward.y, _listenerForward.z,
+      _listenerUp.x, _listenerUp.y, _listenerUp.z
+    );
+
+    // Skip while loading: Howler would queue a pos() call every frame
+    if (this.currentNarration && this.currentNarration.state() === 'loaded') {
+      this.updateEmitter(this.currentNarration);
     }
   }
 
-  pause() {
-    // Pause background theme
-    if (this.backgroundTheme && this.backgroundTheme.playing()) {
-      this.backgroundTheme.pause();
+  updateEmitter(narration) {
+    if (!this.narrationEmitter) return;
+    this.narrationEmitter.getWorldPosition(_emitterPosition);
+    narration.pos(_emitterPosition.x, _emitterPosition.y, _emitterPosition.z);
+  }
+
+  /**
+   * Playback position of the current narration in seconds
+   * @returns {number|null} Position, or null when no narration is loaded and current
+   */
+  getNarrationPosition() {
+    if (!this.currentNarration || this.currentNarration.state() !== 'loaded') {
+      return null;
     }
+    const position = this.currentNarration.seek();
+    return typeof position === 'number' ? position : null;
+  }
+
+  pause() {
+    // Pause theme tracks and soundscape
+    themeMixer.pause();
+    soundscape.pause();
 
     // Pause current narration
     if (this.currentNarration && this.currentNarration.playing()) {
@@ -119,10 +295,9 @@ export class AudioEngine {
   }
 
   resume() {
-    // Resume background theme
-    if (this.backgroundTheme && !this.backgroundTheme.playing()) {
-      this.backgroundTheme.play();
-    }
+    // Resume theme tracks and soundscape
+    themeMixer.resume();
+    soundscape.resume();
 
     // Resume current narration
     if (this.currentNarration && !this.currentNarration.playing()) {
@@ -149,15 +324,15 @@ export class AudioEngine {
    * Dispose all audio resources
    */
   dispose() {
-    if (this.backgroundTheme) {
-      this.backgroundTheme.unload();
-      this.backgroundTheme = null;
-    }
+    themeMixer.dispose();
+    soundscape.dispose();
 
     if (this.currentNarration) {
       this.currentNarration.unload();
       this.currentNarration = null;
     }
+    this.currentLetterId = null;
+    this.narrationEmitter = null;
 
     // Unload all cached narrations
     Object.values(this.narrations).forEach(narration => {
@@ -165,6 +340,7 @@ export class AudioEngine {
     });
     this.narrations = {};
     this.narrationUrls = {};
+    this.narrationSources = {};
 
     console.log('Audio engine disposed');
   }
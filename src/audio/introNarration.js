@@ -0,0 +1,50 @@
+import { Howl } from 'howler';
+import { AUDIO } from '@config/constants.js';
+import { audioEngine } from './audioEngine.js';
+
+/**
+ * IntroNarration - Voice-over of the intro chapters
+ *
+ * One recording at a time, not placed in space like the letter narrations.
+ * Theme tracks and the soundscape are ducked while it plays.
+ */
+export class IntroNarration {
+  constructor() {
+    this.current = null;
+  }
+
+  /**
+   * Play a recording, replacing the current one
+   * @param {string} url
+   */
+  play(url) {
+    this.stop();
+
+    const howl = new Howl({
+      src: [url],
+      loop: false,
+      volume: AUDIO.NARRATION_VOLUME,
+      onloaderror: (id, error) => {
+        console.error(`Error loading intro narration ${url}:`, error);
+        if (this.current === howl) this.stop();
+      },
+      onend: () => {
+        if (this.current === howl) this.stop();
+      }
+    });
+
+    audioEngine.duckAmbience(true);
+    howl.play();
+    this.current = howl;
+    console.log(`Playing intro narration ${url}`);
+  }
+
+  stop() {
+    if (!this.current) return;
+    this.current.unload();
+    this.current = null;
+    audioEngine.duckAmbience(false);
+  }
+}
+
+export const introNarration = new IntroNarration();
@@ -0,0 +1,165 @@
+import { Howl } from 'howler';
+import { SOUNDSCAPE } from '@config/constants.js';
+
+/**
+ * Soundscape - Quiet ambient layers from every letter around the visitor
+ *
+ * ProximityManager supplies a weight per nearby letter (distance and view
+ * direction). Letters sharing an ambience file share one looping Howl whose
+ * level is the power sum of their weights, smoothed over time so walking the
+ * grid produces a continuous field instead of on/off switching. Layers that
+ * fall silent are paused and kept, the most recently used SOUNDSCAPE.POOL_SIZE
+ * of them, so walking back does not download and decode the loop again.
+ */
+export class Soundscape {
+  constructor() {
+    this.enabled = SOUNDSCAPE.ENABLED;
+    this.layerUrls = {}; // letterId -> url
+    this.layers = new Map(); // url -> layer
+    this.targets = new Map(); // url -> target level, reused every frame
+    this.duckLevel = 1;
+    this.duckTarget = 1;
+    this.isPaused = false;
+    this.lastTime = null;
+  }
+
+  registerLayer(letterId, url) {
+    this.layerUrls[letterId] = url;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log(`Soundscape ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  setDucked(ducked) {
+    this.duckTarget = ducked ? SOUNDSCAPE.DUCKING_VOLUME : 1;
+  }
+
+  /**
+   * @param {Map<number, number>} weights - Letter id -> weight in 0..1
+   */
+  update(weights) {
+    const now = performance.now();
+    const delta = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, 0.1);
+    this.lastTime = now;
+
+    if (this.isPaused) return;
+
+    // Combine letters that share a file, keeping only the strongest layers
+    this.targets.clear();
+    if (this.enabled) {
+      weights.forEach((weight, letterId) => {
+        const url = this.layerUrls[letterId];
+        if (!url || weight <= 0) return;
+        const current = this.targets.get(url) || 0;
+        this.targets.set(url, Math.min(1, Math.sqrt(current * current + weight * weight)));
+      });
+
+      if (this.targets.size > SOUNDSCAPE.MAX_LAYERS) {
+        const strongest = [...this.targets.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, SOUNDSCAPE.MAX_LAYERS);
+        this.targets = new Map(strongest);
+      }
+    }
+
+    this.targets.forEach((target, url) => {
+      const layer = this.layers.get(url);
+      if (!layer) {
+        this.createLayer(url);
+      } else if (layer.idle) {
+        this.wakeLayer(layer);
+      }
+    });
+
+    // Exponential smoothing towards the targets
+    const smoothing = 1 - Math.exp(-SOUNDSCAPE.SMOOTHING * delta);
+    this.duckLevel += (this.duckTarget - this.duckLevel) * smoothing;
+
+    this.layers.forEach((layer, url) => {
+      if (layer.idle) return;
+
+      const target = this.targets.get(url) || 0;
+      layer.level += (target - layer.level) * smoothing;
+
+      if (target === 0 && layer.level < 0.001) {
+        this.sleepLayer(layer);
+        return;
+      }
+
+      if (layer.howl.state() === 'loaded') {
+        layer.howl.volume(SOUNDSCAPE.LAYER_VOLUME * layer.level * this.duckLevel);
+      }
+    });
+
+    this.trimPool();
+  }
+
+  createLayer(url) {
+    const howl = new Howl({
+      src: [url],
+      loop: true,
+      volume: 0,
+      onloaderror: (id, error) => console.error(`Error loading ambience ${url}:`, error)
+    });
+    const soundId = howl.play();
+    this.layers.set(url, { howl, soundId, level: 0, idle: false, lastUsed: performance.now() });
+  }
+
+  // Silent: pause the loop but keep it loaded
+  sleepLayer(layer) {
+    layer.level = 0;
+    layer.idle = true;
+    layer.lastUsed = performance.now();
+    layer.howl.volume(0, layer.soundId);
+    layer.howl.pause(layer.soundId);
+  }
+
+  wakeLayer(layer) {
+    layer.idle = false;
+    layer.lastUsed = performance.now();
+    layer.howl.play(layer.soundId);
+  }
+
+  /**
+   * Unload the least recently used idle layers beyond the pool size
+   */
+  trimPool() {
+    const idle = [...this.layers.entries()]
+      .filter(([, layer]) => layer.idle)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    while (idle.length > SOUNDSCAPE.POOL_SIZE) {
+      const [url, layer] = idle.shift();
+      this.removeLayer(url, layer);
+    }
+  }
+
+  removeLayer(url, layer) {
+    layer.howl.unload();
+    this.layers.delete(url);
+  }
+
+  pause() {
+    this.isPaused = true;
+    this.layers.forEach(layer => layer.howl.pause(layer.soundId));
+  }
+
+  resume() {
+    this.isPaused = false;
+    this.lastTime = null;
+    this.layers.forEach(layer => {
+      if (!layer.idle && !layer.howl.playing(layer.soundId)) {
+        layer.howl.play(layer.soundId);
+      }
+    });
+  }
+
+  dispose() {
+    this.layers.forEach((layer, url) => this.removeLayer(url, layer));
+    this.lastTime = null;
+  }
+}
+
+export const soundscape = new Soundscape();
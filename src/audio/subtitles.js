@@ -0,0 +1,121 @@
+import { audioEngine } from './audioEngine.js';
+import { parseSubtitles } from '@utils/subtitleParser.js';
+import { resolveLocalized, pickLanguage, isRTL } from '@utils/i18n.js';
+
+/**
+ * SubtitleManager - Shows WebVTT/SRT cues in sync with the playing narration
+ *
+ * Cues follow the position of the current narration Howl, so they hold while
+ * audio is paused and disappear once the narration is stopped or ends.
+ * Letters without a cue file show their full text instead.
+ */
+export class SubtitleManager {
+  constructor() {
+    this.container = null;
+    this.sources = {};
+    this.tracks = new Map(); // url -> cues (null if the file failed to load)
+    this.pending = new Set();
+    this.renderedKey = null;
+  }
+
+  attach(container) {
+    this.container = container;
+  }
+
+  /**
+   * @param {number} letterId - Letter id
+   * @param {string|Object<string, string>} subtitles - Cue file URL, or map of language code to URL
+   */
+  register(letterId, subtitles) {
+    this.sources[letterId] = subtitles;
+  }
+
+  async load(url) {
+    if (this.tracks.has(url) || this.pending.has(url)) return;
+    this.pending.add(url);
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { cues, skipped } = parseSubtitles(await response.text());
+      if (skipped > 0) {
+        console.warn(`Subtitles ${url}: skipped ${skipped} malformed cue(s)`);
+      }
+      this.tracks.set(url, cues);
+      console.log(`Subtitles loaded: ${url} (${cues.length} cues)`);
+    } catch (error) {
+      console.error(`Error loading subtitles ${url}:`, error);
+      this.tracks.set(url, null);
+    } finally {
+      this.pending.delete(url);
+    }
+  }
+
+  /**
+   * Render the subtitles for the active letter at the current narration position
+   * @param {number} letterId - Active letter id
+   * @param {Object<string, string>} fallbackText - Localized text shown when there is no cue file
+   */
+  update(letterId, fallbackText) {
+    const source = this.sources[letterId];
+    const url = resolveLocalized(source);
+    const cues = url ? this.tracks.get(url) : null;
+
+    if (!url || cues === null) {
+      const language = pickLanguage(fallbackText);
+      this.render(`${letterId}:${language}:text`, [resolveLocalized(fallbackText)], language);
+      return;
+    }
+
+    if (cues === undefined) {
+      this.load(url);
+      this.clear();
+      return;
+    }
+
+    // Only follow the narration of this letter, and only while it is current
+    const position = audioEngine.currentLetterId === letterId
+      ? audioEngine.getNarrationPosition()
+      : null;
+
+    const active = position === null
+      ? []
+      : cues.filter(cue => position >= cue.start && position < cue.end);
+
+    if (active.length === 0) {
+      this.clear();
+      return;
+    }
+
+    const language = pickLanguage(source) || pickLanguage(fallbackText);
+    const key = `${letterId}:${language}:${active.map(cue => cue.start).join(',')}`;
+    this.render(key, active.map(cue => cue.text), language);
+  }
+
+  render(key, lines, language) {
+    if (key === this.renderedKey || !this.container) return;
+    this.renderedKey = key;
+
+    this.container.innerHTML = '';
+    lines.forEach(text => {
+      const line = document.createElement('div');
+      line.className = 'subtitle';
+      line.lang = language;
+      line.dir = isRTL(language) ? 'rtl' : 'ltr';
+      line.textContent = text;
+      this.container.appendChild(line);
+    });
+  }
+
+  clear() {
+    if (this.renderedKey === null) return;
+    this.renderedKey = null;
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+export const subtitleManager = new SubtitleManager();
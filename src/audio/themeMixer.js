@@ -1,15 +1,254 @@
+import { Howl } from 'howler';
+import { AUDIO } from '@config/constants.js';
+
+/**
+ * Crossfade curves. `in` rises from 0 to 1 and `out` falls from 1 to 0 over
+ * t = 0..1; equal power keeps the perceived loudness constant mid-fade.
+ */
+export const FADE_CURVES = {
+  linear: {
+    in: (t) => t,
+    out: (t) => 1 - t
+  },
+  equalPower: {
+    in: (t) => Math.sin(t * Math.PI / 2),
+    out: (t) => Math.cos(t * Math.PI / 2)
+  },
+  sCurve: {
+    in: (t) => t * t * (3 - 2 * t),
+    out: (t) => 1 - t * t * (3 - 2 * t)
+  }
+};
+
+/**
+ * ThemeMixer - Crossfades between the ambient bed and per-letter theme tracks
+ *
+ * Every track is a looping Howl in a small pool. Instead of stacking Howl
+ * fades, each channel keeps its own mix level and is moved towards a target
+ * once per frame, so a new switch always starts from wherever the previous
+ * fade had got to (no jumps when going A → B → A quickly).
+ *
+ * Narration ducking multiplies the whole mix by a separate duck level.
+ */
 export class ThemeMixer {
-  constructor() {
-    this.currentTheme = null;
+  constructor(options = {}) {
+    this.duration = options.duration ?? AUDIO.THEME_CROSSFADE_DURATION;
+    this.curve = FADE_CURVES[options.curve ?? AUDIO.THEME_CROSSFADE_CURVE] || FADE_CURVES.equalPower;
+    this.poolSize = options.poolSize ?? AUDIO.THEME_POOL_SIZE;
+
+    this.channels = new Map(); // url -> channel
+    this.letterThemes = {};
+    this.ambientUrl = null;
+    this.currentTheme = null; // url of the channel being faded in
+    this.activeLetterId = null;
+
+    this.duck = { level: 1, from: 1, to: 1, elapsed: 0, duration: 0 };
+    this.isPaused = false;
+    this.lastTime = null;
+  }
+
+  /**
+   * Change the crossfade duration (ms) and/or curve name for future fades
+   */
+  configure({ duration, curve } = {}) {
+    if (typeof duration === 'number') this.duration = duration;
+    if (curve) {
+      if (FADE_CURVES[curve]) {
+        this.curve = FADE_CURVES[curve];
+      } else {
+        console.warn(`Unknown fade curve "${curve}"`);
+      }
+    }
+  }
+
+  registerTheme(letterId, url) {
+    this.letterThemes[letterId] = url;
+  }
+
+  /**
+   * Set the ambient bed that plays when no letter theme is active
+   */
+  setAmbient(url) {
+    this.ambientUrl = url;
+    if (this.activeLetterId === null || !this.letterThemes[this.activeLetterId]) {
+      this.crossfadeTo(url);
+    }
+    console.log('Ambient theme:', url);
   }
 
   update(activeLetterId) {
-    if (this.currentTheme !== activeLetterId) {
+    if (activeLetterId !== this.activeLetterId) {
+      this.activeLetterId = activeLetterId;
+      const target = (activeLetterId !== null && this.letterThemes[activeLetterId]) || this.ambientUrl;
       console.log(`Crossfading to theme for letter: ${activeLetterId || 'None'}`);
-      this.currentTheme = activeLetterId;
-      // Logic to crossfade audio tracks would go here
+      this.crossfadeTo(target);
+    }
+
+    this.tick();
+  }
+
+  crossfadeTo(url) {
+    if (url === this.currentTheme) return;
+    this.currentTheme = url;
+
+    if (url && !this.channels.has(url)) {
+      this.createChannel(url);
+    }
+
+    this.channels.forEach((channel, channelUrl) => {
+      this.fadeChannel(channel, channelUrl === url ? 1 : 0);
+    });
+
+    this.trimPool();
+  }
+
+  createChannel(url) {
+    const howl = new Howl({
+      src: [url],
+      loop: true,
+      volume: 0,
+      html5: true,
+      onloaderror: (id, error) => console.error(`Error loading theme ${url}:`, error)
+    });
+
+    this.channels.set(url, {
+      howl,
+      soundId: null,
+      appliedVolume: null,
+      level: 0,
+      from: 0,
+      to: 0,
+      elapsed: 0,
+      duration: 0,
+      lastUsed: performance.now()
+    });
+  }
+
+  fadeChannel(channel, to) {
+    if (channel.to === to) return;
+
+    channel.from = channel.level;
+    channel.to = to;
+    channel.elapsed = 0;
+    // Partial fades (e.g. reversing mid-way) take proportionally less time
+    channel.duration = this.duration * Math.abs(to - channel.level);
+    channel.lastUsed = performance.now();
+
+    if (to > 0 && !this.isPaused) {
+      this.playChannel(channel);
     }
   }
+
+  /**
+   * Start or resume the channel's single looping sound. Reusing the sound id
+   * keeps repeated calls (even while still loading) from layering copies.
+   */
+  playChannel(channel) {
+    if (channel.soundId !== null && channel.howl.playing(channel.soundId)) return;
+    channel.soundId = channel.howl.play(channel.soundId ?? undefined);
+  }
+
+  pauseChannel(channel) {
+    if (channel.soundId !== null && channel.howl.playing(channel.soundId)) {
+      channel.howl.pause(channel.soundId);
+    }
+  }
+
+  /**
+   * Unload the least recently used silent channels beyond the pool size
+   */
+  trimPool() {
+    if (this.channels.size <= this.poolSize) return;
+
+    const silent = [...this.channels.entries()]
+      .filter(([, channel]) => channel.to === 0 && channel.level === 0)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    while (this.channels.size > this.poolSize && silent.length > 0) {
+      const [url, channel] = silent.shift();
+      channel.howl.unload();
+      this.channels.delete(url);
+    }
+  }
+
+  /**
+   * Lower (or restore) the whole theme mix while a narration plays
+   */
+  setDucked(ducked) {
+    const to = ducked ? AUDIO.DUCKING_VOLUME : 1;
+    if (this.duck.to === to) return;
+
+    this.duck.from = this.duck.level;
+    this.duck.to = to;
+    this.duck.elapsed = 0;
+    this.duck.duration = AUDIO.FADE_DURATION;
+  }
+
+  advance(fade, delta) {
+    if (fade.level === fade.to) return;
+
+    fade.elapsed += delta;
+    const t = fade.duration > 0 ? Math.min(fade.elapsed / fade.duration, 1) : 1;
+
+    if (fade.to > fade.from) {
+      fade.level = fade.from + (fade.to - fade.from) * this.curve.in(t);
+    } else {
+      fade.level = fade.to + (fade.from - fade.to) * this.curve.out(t);
+    }
+
+    if (t >= 1) {
+      fade.level = fade.to;
+    }
+  }
+
+  tick() {
+    const now = performance.now();
+    const delta = this.lastTime === null ? 0 : now - this.lastTime;
+    this.lastTime = now;
+
+    if (this.isPaused) return;
+
+    this.advance(this.duck, delta);
+
+    this.channels.forEach(channel => {
+      this.advance(channel, delta);
+
+      // Howler queues volume() calls until loaded, so only apply real changes
+      const volume = AUDIO.THEME_VOLUME * channel.level * this.duck.level;
+      if (volume !== channel.appliedVolume && channel.howl.state() === 'loaded') {
+        channel.howl.volume(volume);
+        channel.appliedVolume = volume;
+      }
+
+      // Silent channels stop decoding until they are faded in again
+      if (channel.level === 0 && channel.to === 0) {
+        this.pauseChannel(channel);
+      }
+    });
+  }
+
+  pause() {
+    this.isPaused = true;
+    this.channels.forEach(channel => this.pauseChannel(channel));
+  }
+
+  resume() {
+    this.isPaused = false;
+    this.lastTime = null;
+    this.channels.forEach(channel => {
+      if (channel.level > 0 || channel.to > 0) {
+        this.playChannel(channel);
+      }
+    });
+  }
+
+  dispose() {
+    this.channels.forEach(channel => channel.howl.unload());
+    this.channels.clear();
+    this.currentTheme = null;
+    this.activeLetterId = null;
+    this.lastTime = null;
+  }
 }
 
 export const themeMixer = new ThemeMixer();
@@ -0,0 +1,52 @@
+import { audioEngine } from './audioEngine.js';
+import { resolveLocalized, pickLanguage } from '@utils/i18n.js';
+
+/**
+ * TranscriptionTracker - Finds the transcribed line being narrated
+ *
+ * Each line of a letter's `transcription` marks a region of the front or
+ * back scan and the span of the narration that reads it. Like subtitles,
+ * lines follow the position of the current narration, so they hold while
+ * audio is paused and clear once the narration stops or ends. Timings are
+ * taken in the language the narration is actually played in.
+ */
+export class TranscriptionTracker {
+  constructor() {
+    this.letters = {}; // letter id -> { lines, narration }
+  }
+
+  /**
+   * @param {number} letterId - Letter id
+   * @param {Array<Object>} lines - Normalised transcription lines from the catalogue
+   * @param {Object<string, string>} [narration] - Narration map, to pick the timing language
+   */
+  register(letterId, lines, narration = null) {
+    if (!lines || lines.length === 0) return;
+    this.letters[letterId] = { lines, narration };
+  }
+
+  has(letterId) {
+    return letterId in this.letters;
+  }
+
+  /**
+   * Line being narrated for a letter
+   * @param {number} letterId - Letter id
+   * @returns {Object|null} { side, region, text } or null between lines
+   */
+  getActiveLine(letterId) {
+    const entry = this.letters[letterId];
+    if (!entry || audioEngine.currentLetterId !== letterId) return null;
+
+    const position = audioEngine.getNarrationPosition();
+    if (position === null) return null;
+
+    const language = pickLanguage(entry.narration) ?? undefined;
+    return entry.lines.find(line => {
+      const [start, end] = resolveLocalized(line.time, language);
+      return position >= start && position < end;
+    }) ?? null;
+  }
+}
+
+export const transcriptionTracker = new TranscriptionTracker();
@@ -14,7 +14,8 @@ export const CAMERA = {
   FOV: 75,
   NEAR: 0.1,
   FAR: 1000,
-  INITIAL_POSITION: { x: 0, y: 1.6, z: 0 }
+  INITIAL_POSITION: { x: 0, y: 1.6, z: 0 },
+  EYE_HEIGHT: 1.6
 };
 
 // Models
@@ -29,7 +30,32 @@ export const AUDIO = {
   THEME_VOLUME: 1.0,
   NARRATION_VOLUME: 1.0,
   FADE_DURATION: 500,
-  DUCKING_VOLUME: 0.3
+  DUCKING_VOLUME: 0.3,
+  // Theme crossfades (curve: 'linear' | 'equalPower' | 'sCurve')
+  THEME_CROSSFADE_DURATION: 2500,
+  THEME_CROSSFADE_CURVE: 'equalPower',
+  THEME_POOL_SIZE: 4,
+  // Spatial narration (PannerNode settings, distances in world units)
+  NARRATION_PANNING_MODEL: 'HRTF',
+  NARRATION_DISTANCE_MODEL: 'inverse',
+  NARRATION_REF_DISTANCE: 3.0,
+  NARRATION_ROLLOFF_FACTOR: 1.0,
+  NARRATION_MAX_DISTANCE: 50.0
+};
+
+// Letter streaming (see LetterStreamer)
+export const STREAMING = {
+  LOAD_RADIUS: 45, // Full models are loaded for letters within this distance
+  UNLOAD_RADIUS: 60, // ...and unloaded beyond this one
+  MAX_CONCURRENT: 4, // Downloads in flight at once
+  START_TIMEOUT: 20, // Seconds the loading screen waits for placeholder scans before going on without them
+  THUMBNAIL_SIZE: 256, // Width of the placeholder scans in pixels
+  // Placeholder frame in model units (the plexiglass of the letter models)
+  FRAME_WIDTH: 0.1,
+  FRAME_HEIGHT: 0.2,
+  FRAME_DEPTH: 0.001,
+  FACE_FILL: 0.9, // Share of the frame the scan covers
+  PLACEHOLDER_COLOR: 0xd8d0c0 // Shown until the scan is in
 };
 
 // Interaction
@@ -39,9 +65,109 @@ export const INTERACTION = {
   CHECK_RADIUS: 15.0 // Only check letters within this radius
 };
 
+// Collision (world units)
+export const COLLISION = {
+  ENABLED: true,
+  PLAYER_RADIUS: 0.5,
+  LETTER_PADDING: 0.3, // Extra clearance around each letter's box (covers the sway animation)
+  // Walkable area; null = the letter grid's extent plus WALKABLE_MARGIN on every side
+  WALKABLE_AREA: null, // e.g. { minX: -80, maxX: 80, minZ: -80, maxZ: 80 }
+  WALKABLE_MARGIN: 20
+};
+
+// Ambient soundscape (quiet layers from every letter within CHECK_RADIUS)
+export const SOUNDSCAPE = {
+  ENABLED: true,
+  LAYER_VOLUME: 0.35,
+  DUCKING_VOLUME: 0.4, // Layer level while a narration plays
+  MIN_VIEW_WEIGHT: 0.35, // Weight of letters directly behind the visitor
+  SMOOTHING: 3.0, // Higher = faster response to movement
+  MAX_LAYERS: 6,
+  POOL_SIZE: 4 // Silent layers kept loaded for when the visitor walks back
+};
+
+// Guided tour (distances in world units, times in seconds)
+export const TOUR = {
+  VIEW_DISTANCE: 3.5, // How far in front of a letter the camera stops
+  TRAVEL_SPEED: 4.0, // Average speed along the path between stops
+  MIN_TRAVEL_TIME: 2.5,
+  LOOK_SMOOTHING: 2.5, // Higher = camera turns towards the letter faster
+  DWELL_AFTER_NARRATION: 2.0, // Pause after a narration ends before moving on
+  FALLBACK_DWELL: 8.0, // Time at letters without a narration
+  IDLE_REJOIN: 90 // Rejoin the tour after this long without movement input (0 = never)
+};
+
+// Inspect mode (holding a single letter up to the camera)
+export const INSPECT = {
+  TRANSITION_DURATION: 0.8, // Seconds to bring the letter in or send it back
+  FILL: 0.75, // Fraction of the view the letter fills at zoom 1
+  MIN_ZOOM: 0.6,
+  MAX_ZOOM: 3.0,
+  ROTATE_SPEED: 0.005, // Radians per pixel dragged
+  ZOOM_SPEED: 0.001, // Zoom change per wheel/pinch pixel
+  MAX_PITCH: Math.PI / 3,
+  SMOOTHING: 10.0 // Higher = rotation and zoom follow input faster
+};
+
+// Deep-zoom viewer for the scanned letters (tiles from `npm run build:tiles`)
+export const VIEWER = {
+  MANIFEST: '/assets/letters/tiles/manifest.json',
+  FIT_MARGIN: 0.9, // Fraction of the screen the scan fills when reset
+  MIN_ZOOM: 0.5, // Relative to the fitted size
+  MAX_SCALE: 4.0, // Screen pixels per scan pixel at full zoom
+  ZOOM_SPEED: 0.0015, // Zoom change per wheel pixel
+  ROTATE_STEP: Math.PI / 2, // Rotate buttons and Q/E keys
+  TILE_CACHE_SIZE: 400 // Decoded tiles kept in memory
+};
+
+// Transcription line highlight on the 3D letters
+export const HIGHLIGHT = {
+  COLOR: 0xffcc66,
+  TINT: 0.25, // Colour added inside the region
+  DIM: 0.45, // Brightness outside the region
+  FADE_DURATION: 0.4 // Seconds to fade in or out
+};
+
+// Letter search and the flight to a result
+export const SEARCH = {
+  MAX_RESULTS: 8,
+  VIEW_DISTANCE: 3.5, // Where the flight ends, in front of the letter
+  FLIGHT_SPEED: 15, // World units per second
+  MIN_FLIGHT_TIME: 1.5,
+  MAX_FLIGHT_TIME: 5,
+  ARC_HEIGHT: 0.25, // Peak height of the flight arc, as a fraction of its length
+  MAX_ARC_HEIGHT: 12 // World units above eye height
+};
+
+// Minimap and floor plan overlay
+export const MINIMAP = {
+  MARGIN: 12, // World units shown around the letter grid
+  DOT_RADIUS: 2.5, // CSS pixels, corner minimap
+  PANEL_DOT_RADIUS: 6, // CSS pixels, floor plan overlay
+  MIN_HIT_RADIUS: 12, // CSS pixels within which a click picks a letter
+  VISITED_COLOR: '#ffcc66',
+  UNVISITED_COLOR: 'rgba(255, 255, 255, 0.6)',
+  ACTIVE_COLOR: '#ffffff',
+  PLAYER_COLOR: '#00ff88',
+  LABEL_COLOR: '#ffffff'
+};
+
+// Saved visitor progress (localStorage)
+export const PROGRESS = {
+  STORAGE_KEY: 'house-of-dreams:progress',
+  VERSION: 1, // Bump when the record format changes; older records are dropped
+  SAVE_INTERVAL: 5, // Seconds between saves of the camera pose
+  SKIP_INTRO: true // Returning visitors skip the intro flythrough unless they untick it
+};
+
+// Path recorder (debug panel)
+export const RECORDER = {
+  LOOK_DISTANCE: 5.0, // Look-at targets are recorded this far along the view direction
+  PRECISION: 2 // Decimal places kept in exported coordinates
+};
+
 // Animation
 export const ANIMATION = {
-  LETTER_ANIMATION_RADIUS: 15.0, // Only animate letters within this distance
   ROTATION_SPEED: 0.1,
   ROTATION_AMPLITUDE: 0.15,
   SWAY_SPEED: 0.2,
@@ -50,10 +176,67 @@ export const ANIMATION = {
   BOB_AMPLITUDE: 0.08
 };
 
+// Rendering quality presets, lowest first; chosen from frame times unless set in the pause screen
+export const QUALITY = {
+  LEVELS: ['low', 'medium', 'high', 'ultra'],
+  PRESETS: {
+    // pixelRatio caps the device pixel ratio; antialias takes effect on the next page load
+    // postProcessing: 'off', 'basic' or 'full' effects of each scene (EFFECT_PRESETS in src/renderer/effectsPipeline.js)
+    // particles is the share of loading scene particles drawn; animationRadius the distance within which letters sway
+    low: { pixelRatio: 0.75, antialias: false, postProcessing: 'off', particles: 0.25, animationRadius: 8 },
+    medium: { pixelRatio: 1, antialias: false, postProcessing: 'basic', particles: 0.5, animationRadius: 12 },
+    high: { pixelRatio: 1.5, antialias: false, postProcessing: 'full', particles: 1, animationRadius: 15 },
+    ultra: { pixelRatio: 2, antialias: true, postProcessing: 'full', particles: 1, animationRadius: 25 }
+  },
+  DEFAULT: 'high', // First visit on a desktop
+  DEFAULT_TOUCH: 'medium', // First visit on a phone or tablet
+  DOWNGRADE_FRAME_TIME: 25, // ms (40 fps); slower than this steps down
+  UPGRADE_FRAME_TIME: 18, // ms (55 fps); faster than this steps up
+  DOWNGRADE_DELAY: 2, // Seconds of slow frames before stepping down
+  UPGRADE_DELAY: 10, // Seconds of fast frames before stepping up
+  RETRY_DELAY: 60, // Seconds before a level that was too slow is tried again (doubles each time)
+  SMOOTHING: 0.05, // Weight of each new frame in the average frame time
+  MAX_FRAME_TIME: 250 // ms; longer frames (tab switches, loading stalls) are not counted
+};
+
+// Gallery post-processing (src/renderer/effectsPipeline.js); the quality preset decides which effects run
+export const EFFECTS = {
+  GLASS_BLOOM_INTENSITY: 0.6, // Bloom on the glass cases only
+  GLASS_BLOOM_THRESHOLD: 0.05,
+  VIGNETTE_DARKNESS: 0.4,
+  FOCUS_RANGE: 6.0, // World units around the active letter kept sharp by the depth of field
+  FOCUS_BLUR: 2.0, // Bokeh scale around an active letter
+  FOCUS_FADE: 1.5 // Bokeh scale per second as the blur fades in and out
+};
+
+// Hand-off from the intro to the gallery on the shared renderer (src/renderer/sceneTransition.js)
+export const TRANSITION = {
+  FOG_IN: 1.5, // Seconds for the fog to swallow the intro
+  FOG_OUT: 2.0, // Seconds for it to clear over the gallery
+  FOG_DENSITY: 0.5, // FogExp2 density at the cut: nothing beyond a few units shows
+  DIVE_SPEED: 6 // World units per second the intro camera keeps moving forward
+};
+
 // Asset Paths
 export const ASSETS = {
   MODELS: '/assets/models',
   TEXTURES: '/assets/textures',
   AUDIO: '/assets/audio',
-  LETTERS: '/assets/letters'
+  LETTERS: '/assets/letters',
+  INTRO_SCENE: '/3d_sednaya/scene.json', // Scene manifest of the intro (see src/data/sceneManifest.js)
+  INTRO_SEQUENCE: '/intro/sequence.json', // Chapters of the intro (see src/data/introSequence.js)
+  DRACO: '/draco/' // Self-hosted Draco decoder (copied from three by scripts/vite-plugin-offline.js)
+};
+
+// Offline mode (src/utils/offline.js, service worker in src/sw.js)
+export const OFFLINE = {
+  CONCURRENCY: 4, // Archive files downloaded at once
+  CLAIM_TIMEOUT: 3 // Seconds to wait for a new service worker to take over the page
+};
+
+// Languages
+export const LANGUAGE = {
+  DEFAULT: 'en',
+  SUPPORTED: ['en', 'ar', 'de'],
+  RTL: ['ar']
 };
@@ -0,0 +1,224 @@
+/**
+ * Interface strings per language. Keys missing from a language fall back to
+ * the default language (see LANGUAGE.DEFAULT).
+ */
+import { LANGUAGE } from './constants.js';
+
+export const UI_STRINGS = {
+  en: {
+    'language.name': 'English',
+    'language.label': 'Language',
+    'start.tagline': 'Explore the archive. Listen to the stories.',
+    'start.enter': 'Enter Archive',
+    'start.link.letter': 'Go to Letter {id}',
+    'start.link.view': 'Go to the Shared View',
+    'start.continue': 'Continue',
+    'start.progress': '{count} of {total} letters heard so far',
+    'start.skipIntro': 'Skip the intro next time',
+    'start.reset': 'Forget my progress',
+    'start.reset.confirm': 'Forget the letters you have heard, where you were and your settings?',
+    'settings.volume': 'Volume',
+    'settings.mute': 'Mute',
+    'settings.unmute': 'Unmute',
+    'settings.quality': 'Quality',
+    'settings.quality.auto': 'Auto',
+    'settings.quality.auto.current': 'Auto ({level})',
+    'settings.quality.low': 'Low',
+    'settings.quality.medium': 'Medium',
+    'settings.quality.high': 'High',
+    'settings.quality.ultra': 'Ultra',
+    'settings.offline': 'Offline',
+    'settings.offline.download': 'Save for offline use',
+    'settings.offline.progress': 'Saving… {percent}% ({loaded} of {total} MB)',
+    'settings.offline.ready': 'The whole archive is saved on this device',
+    'settings.offline.missing': '{size} MB not saved yet',
+    'settings.offline.failed': '{failed} files could not be saved; try again when the connection is back',
+    'settings.offline.unsupported': 'Not available in this browser',
+    'pause.title': 'Paused',
+    'pause.resume': 'Resume',
+    'intro.next': 'Next',
+    'intro.skip': 'Skip Intro',
+    'hint.controls': 'WASD to Move • Mouse to Look • Click to Inspect • T for Guided Tour • / to Search • M for Map',
+    'preview.front': 'Front',
+    'preview.back': 'Back',
+    'subtitle.placeholder': 'Listening to Letter {id}...',
+    'tour.start': 'Guided Tour',
+    'tour.leave': 'Leave Tour',
+    'tour.rejoin': 'Rejoin Tour',
+    'tour.status': 'Guided tour • Letter {id} ({stop}/{total})',
+    'tour.progress': 'Guided tour ({stop}/{total})',
+    'inspect.hint': 'Move mouse to rotate • Scroll to zoom • F to flip • Click to return',
+    'inspect.hint.touch': 'Drag to rotate • Pinch to zoom',
+    'inspect.flip': 'Flip',
+    'inspect.close': 'Done',
+    'preview.open': 'Press V to read the scans',
+    'preview.open.touch': 'Tap a scan to read it',
+    'viewer.title': 'Letter {id}',
+    'viewer.loading': 'Loading…',
+    'viewer.error': 'Scan not available',
+    'viewer.reset': 'Reset',
+    'viewer.close': 'Close',
+    'viewer.hint': 'Drag to pan • Scroll to zoom • Q/E to rotate • F to turn over • Esc to close',
+    'viewer.hint.touch': 'Drag to pan • Pinch to zoom • Twist to rotate',
+    'search.placeholder': 'Search letters, transcriptions…',
+    'search.result': 'Letter {id}',
+    'search.empty': 'No letters found',
+    'search.hint': '↑↓ to choose • Enter to go • Esc to close',
+    'map.title': 'Floor Plan',
+    'map.visited': '{count} of {total} letters heard',
+    'map.legend.visited': 'Heard',
+    'map.legend.unvisited': 'Not yet heard',
+    'map.legend.player': 'You',
+    'map.hint': 'Click a letter to go there • M or Esc to close'
+  },
+  ar: {
+    'language.name': 'العربية',
+    'language.label': 'اللغة',
+    'start.tagline': 'استكشف الأرشيف. استمع إلى الحكايات.',
+    'start.enter': 'ادخل الأرشيف',
+    'start.link.letter': 'اذهب إلى الرسالة {id}',
+    'start.link.view': 'اذهب إلى المنظر المُشارَك',
+    'start.continue': 'متابعة',
+    'start.progress': 'استمعت حتى الآن إلى {count} من {total} رسالة',
+    'start.skipIntro': 'تخطَّ المقدمة في المرة القادمة',
+    'start.reset': 'انسَ تقدّمي',
+    'start.reset.confirm': 'هل تريد نسيان الرسائل التي استمعت إليها ومكانك وإعداداتك؟',
+    'settings.volume': 'مستوى الصوت',
+    'settings.mute': 'كتم الصوت',
+    'settings.unmute': 'إلغاء الكتم',
+    'settings.quality': 'الجودة',
+    'settings.quality.auto': 'تلقائي',
+    'settings.quality.auto.current': 'تلقائي ({level})',
+    'settings.quality.low': 'منخفضة',
+    'settings.quality.medium': 'متوسطة',
+    'settings.quality.high': 'عالية',
+    'settings.quality.ultra': 'فائقة',
+    'settings.offline': 'دون اتصال',
+    'settings.offline.download': 'احفظ للاستخدام دون اتصال',
+    'settings.offline.progress': 'جارٍ الحفظ… {percent}% ({loaded} من {total} ميغابايت)',
+    'settings.offline.ready': 'الأرشيف كاملًا محفوظ على هذا الجهاز',
+    'settings.offline.missing': 'لم يُحفظ بعد {size} ميغابايت',
+    'settings.offline.failed': 'تعذّر حفظ {failed} ملفات؛ حاول مجددًا عند عودة الاتصال',
+    'settings.offline.unsupported': 'غير متاح في هذا المتصفح',
+    'pause.title': 'متوقف مؤقتًا',
+    'pause.resume': 'متابعة',
+    'intro.next': 'التالي',
+    'intro.skip': 'تخطَّ المقدمة',
+    'hint.controls': 'WASD للتحرك • الفأرة للنظر • انقر للفحص • T للجولة المرشدة • / للبحث • M للمخطط',
+    'preview.front': 'الوجه',
+    'preview.back': 'الظهر',
+    'subtitle.placeholder': 'الاستماع إلى الرسالة {id}...',
+    'tour.start': 'جولة مرشدة',
+    'tour.leave': 'مغادرة الجولة',
+    'tour.rejoin': 'العودة إلى الجولة',
+    'tour.status': 'جولة مرشدة • الرسالة {id} ({stop}/{total})',
+    'tour.progress': 'جولة مرشدة ({stop}/{total})',
+    'inspect.hint': 'حرّك الفأرة للتدوير • مرّر للتكبير • F للقلب • انقر للعودة',
+    'inspect.hint.touch': 'اسحب للتدوير • قرّب بإصبعين للتكبير',
+    'inspect.flip': 'اقلب',
+    'inspect.close': 'تم',
+    'preview.open': 'اضغط V لقراءة الصور الممسوحة',
+    'preview.open.touch': 'انقر على صورة لقراءتها',
+    'viewer.title': 'الرسالة {id}',
+    'viewer.loading': 'جارٍ التحميل…',
+    'viewer.error': 'الصورة غير متوفرة',
+    'viewer.reset': 'إعادة الضبط',
+    'viewer.close': 'إغلاق',
+    'viewer.hint': 'اسحب للتحريك • مرّر للتكبير • Q/E للتدوير • F للقلب • Esc للإغلاق',
+    'viewer.hint.touch': 'اسحب للتحريك • قرّب بإصبعين للتكبير • أدر بإصبعين للتدوير',
+    'search.placeholder': 'ابحث في الرسائل والنصوص…',
+    'search.result': 'الرسالة {id}',
+    'search.empty': 'لم يتم العثور على رسائل',
+    'search.hint': '↑↓ للاختيار • Enter للانتقال • Esc للإغلاق',
+    'map.title': 'المخطط',
+    'map.visited': 'تم الاستماع إلى {count} من {total} رسالة',
+    'map.legend.visited': 'تم الاستماع',
+    'map.legend.unvisited': 'لم يُستمع بعد',
+    'map.legend.player': 'أنت',
+    'map.hint': 'انقر على رسالة للانتقال إليها • M أو Esc للإغلاق'
+  },
+  de: {
+    'language.name': 'Deutsch',
+    'language.label': 'Sprache',
+    'start.tagline': 'Erkunde das Archiv. Höre die Geschichten.',
+    'start.enter': 'Archiv betreten',
+    'start.link.letter': 'Zu Brief {id}',
+    'start.link.view': 'Zur geteilten Ansicht',
+    'start.continue': 'Fortsetzen',
+    'start.progress': 'Bisher {count} von {total} Briefen gehört',
+    'start.skipIntro': 'Intro beim nächsten Mal überspringen',
+    'start.reset': 'Fortschritt vergessen',
+    'start.reset.confirm': 'Gehörte Briefe, Position und Einstellungen vergessen?',
+    'settings.volume': 'Lautstärke',
+    'settings.mute': 'Stumm',
+    'settings.unmute': 'Ton an',
+    'settings.quality': 'Qualität',
+    'settings.quality.auto': 'Automatisch',
+    'settings.quality.auto.current': 'Automatisch ({level})',
+    'settings.quality.low': 'Niedrig',
+    'settings.quality.medium': 'Mittel',
+    'settings.quality.high': 'Hoch',
+    'settings.quality.ultra': 'Ultra',
+    'settings.offline': 'Offline',
+    'settings.offline.download': 'Für die Offline-Nutzung speichern',
+    'settings.offline.progress': 'Wird gespeichert… {percent} % ({loaded} von {total} MB)',
+    'settings.offline.ready': 'Das ganze Archiv ist auf diesem Gerät gespeichert',
+    'settings.offline.missing': '{size} MB noch nicht gespeichert',
+    'settings.offline.failed': '{failed} Dateien konnten nicht gespeichert werden; versuche es erneut, sobald die Verbindung zurück ist',
+    'settings.offline.unsupported': 'In diesem Browser nicht verfügbar',
+    'pause.title': 'Pausiert',
+    'pause.resume': 'Fortsetzen',
+    'intro.next': 'Weiter',
+    'intro.skip': 'Intro überspringen',
+    'hint.controls': 'WASD zum Bewegen • Maus zum Umsehen • Klicken zum Betrachten • T für die Führung • / zum Suchen • M für den Grundriss',
+    'preview.front': 'Vorderseite',
+    'preview.back': 'Rückseite',
+    'subtitle.placeholder': 'Brief {id} wird abgespielt...',
+    'tour.start': 'Führung',
+    'tour.leave': 'Führung verlassen',
+    'tour.rejoin': 'Zurück zur Führung',
+    'tour.status': 'Führung • Brief {id} ({stop}/{total})',
+    'tour.progress': 'Führung ({stop}/{total})',
+    'inspect.hint': 'Maus bewegen zum Drehen • Scrollen zum Zoomen • F zum Wenden • Klicken zum Zurückhängen',
+    'inspect.hint.touch': 'Ziehen zum Drehen • Zwei Finger zum Zoomen',
+    'inspect.flip': 'Wenden',
+    'inspect.close': 'Fertig',
+    'preview.open': 'V drücken, um die Scans zu lesen',
+    'preview.open.touch': 'Scan antippen, um ihn zu lesen',
+    'viewer.title': 'Brief {id}',
+    'viewer.loading': 'Wird geladen…',
+    'viewer.error': 'Scan nicht verfügbar',
+    'viewer.reset': 'Zurücksetzen',
+    'viewer.close': 'Schließen',
+    'viewer.hint': 'Ziehen zum Verschieben • Scrollen zum Zoomen • Q/E zum Drehen • F zum Wenden • Esc zum Schließen',
+    'viewer.hint.touch': 'Ziehen zum Verschieben • Zwei Finger zum Zoomen • Drehen mit zwei Fingern',
+    'search.placeholder': 'Briefe und Transkriptionen durchsuchen…',
+    'search.result': 'Brief {id}',
+    'search.empty': 'Keine Briefe gefunden',
+    'search.hint': '↑↓ zum Auswählen • Enter zum Hingehen • Esc zum Schließen',
+    'map.title': 'Grundriss',
+    'map.visited': '{count} von {total} Briefen gehört',
+    'map.legend.visited': 'Gehört',
+    'map.legend.unvisited': 'Noch nicht gehört',
+    'map.legend.player': 'Du',
+    'map.hint': 'Brief anklicken, um hinzugehen • M oder Esc zum Schließen'
+  }
+};
+
+/**
+ * Format a string for one language, replacing `{name}` placeholders.
+ */
+export function formatString(language, key, params = {}) {
+  const template = UI_STRINGS[language]?.[key] ?? UI_STRINGS[LANGUAGE.DEFAULT][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Format a string in every supported language, e.g. for catalogue defaults.
+ * @returns {Object<string, string>} Map of language code to text
+ */
+export function formatStringAll(key, params = {}) {
+  return Object.fromEntries(
+    LANGUAGE.SUPPORTED.map(language => [language, formatString(language, key, params)])
+  );
+}
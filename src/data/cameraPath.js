@@ -0,0 +1,155 @@
+/**
+ * Camera path format
+ *
+ * Shared by the intro flythrough, the guided tour and the path recorder:
+ *
+ *   {
+ *     "name": "Curator's walk",
+ *     "loop": true,                 // optional, default false
+ *     "duration": 18,               // optional, seconds for timed paths
+ *     "lookAt": [0, 0, 0],          // optional default look-at target
+ *     "waypoints": [
+ *       { "position": [x, y, z], "lookAt": [x, y, z], "dwell": 2, "letter": 5 }
+ *     ]
+ *   }
+ *
+ * Positions are world units. Every waypoint needs a `position`, a `letter`,
+ * or both; the other fields are optional. Kept free of browser APIs so
+ * paths can also be checked from Node.
+ */
+
+import { ValidationError, isObject, isText, isVector, checkFields, assertValid } from './validation.js';
+
+const PATH_FIELDS = ['name', 'loop', 'duration', 'lookAt', 'waypoints'];
+const WAYPOINT_FIELDS = ['position', 'lookAt', 'dwell', 'letter'];
+
+/**
+ * Thrown when a camera path is invalid. `problems` holds every issue found.
+ */
+export class CameraPathError extends ValidationError {
+  constructor(name, problems) {
+    super('Camera path', name, problems);
+    this.name = 'CameraPathError';
+  }
+}
+
+/**
+ * Validate and normalise a raw camera path.
+ * @param {Object} raw - Parsed path JSON
+ * @returns {{ path: Object|null, problems: Array<string> }}
+ */
+export function validateCameraPath(raw) {
+  const problems = [];
+
+  if (!isObject(raw)) {
+    return { path: null, problems: ['path must be an object'] };
+  }
+
+  if (!isText(raw.name)) {
+    problems.push('name must be a non-empty string');
+  }
+  if (raw.loop !== undefined && typeof raw.loop !== 'boolean') {
+    problems.push('loop must be true or false');
+  }
+  if (raw.duration !== undefined && !(Number.isFinite(raw.duration) && raw.duration > 0)) {
+    problems.push('duration must be a positive number of seconds');
+  }
+  if (raw.lookAt !== undefined && !isVector(raw.lookAt)) {
+    problems.push('lookAt must be an [x, y, z] array');
+  }
+  checkFields(raw, PATH_FIELDS, (message) => problems.push(message));
+
+  if (!Array.isArray(raw.waypoints) || raw.waypoints.length === 0) {
+    problems.push('waypoints must be a non-empty array');
+    return { path: null, problems };
+  }
+
+  const waypoints = raw.waypoints.map((waypoint, index) => {
+    const report = (message) => problems.push(`waypoint #${index}: ${message}`);
+
+    if (!isObject(waypoint)) {
+      report('must be an object');
+      return null;
+    }
+    if (waypoint.position === undefined && waypoint.letter === undefined) {
+      report('needs a position or a letter');
+    }
+    if (waypoint.position !== undefined && !isVector(waypoint.position)) {
+      report('position must be an [x, y, z] array');
+    }
+    if (waypoint.lookAt !== undefined && !isVector(waypoint.lookAt)) {
+      report('lookAt must be an [x, y, z] array');
+    }
+    if (waypoint.dwell !== undefined && !(Number.isFinite(waypoint.dwell) && waypoint.dwell >= 0)) {
+      report('dwell must be a number of seconds >= 0');
+    }
+    if (waypoint.letter !== undefined && !(Number.isInteger(waypoint.letter) && waypoint.letter > 0)) {
+      report(`letter must be a letter id (got ${JSON.stringify(waypoint.letter)})`);
+    }
+    checkFields(waypoint, WAYPOINT_FIELDS, report);
+
+    return {
+      position: waypoint.position ?? null,
+      lookAt: waypoint.lookAt ?? null,
+      dwell: waypoint.dwell ?? null,
+      letter: waypoint.letter ?? null
+    };
+  });
+
+  if (problems.length > 0) {
+    return { path: null, problems };
+  }
+
+  return {
+    path: {
+      name: raw.name,
+      loop: raw.loop ?? false,
+      duration: raw.duration ?? null,
+      lookAt: raw.lookAt ?? null,
+      waypoints
+    },
+    problems
+  };
+}
+
+/**
+ * Validate a camera path, throwing a CameraPathError listing every problem
+ * @param {Object} raw - Parsed path JSON
+ * @returns {Object} Normalised path
+ */
+export function loadCameraPath(raw) {
+  const { path, problems } = validateCameraPath(raw);
+  assertValid(CameraPathError, raw, problems);
+  return path;
+}
+
+/**
+ * Serialise a path in the same layout as the bundled files: one waypoint per
+ * line, optional fields omitted.
+ * @param {Object} path - Path with the fields described above
+ * @returns {string} JSON text
+ */
+export function serializeCameraPath(path) {
+  const header = {};
+  PATH_FIELDS.forEach(key => {
+    if (key !== 'waypoints' && path[key] !== undefined && path[key] !== null) {
+      header[key] = path[key];
+    }
+  });
+
+  const field = (key, value) => {
+    const json = Array.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+    return `${JSON.stringify(key)}: ${json}`;
+  };
+
+  const lines = Object.entries(header).map(([key, value]) => `  ${field(key, value)}`);
+  const waypoints = path.waypoints.map(waypoint => {
+    const fields = WAYPOINT_FIELDS
+      .filter(key => waypoint[key] !== undefined && waypoint[key] !== null)
+      .map(key => field(key, waypoint[key]));
+    return `    { ${fields.join(', ')} }`;
+  });
+  lines.push(`  "waypoints": [\n${waypoints.join(',\n')}\n  ]`);
+
+  return `{\n${lines.join(',\n')}\n}\n`;
+}
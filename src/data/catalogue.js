@@ -0,0 +1,47 @@
+/**
+ * Letter catalogue - validated access to letters.json
+ */
+import lettersData from './letters.json';
+import { validateLetters, CatalogueError } from './letterSchema.js';
+
+export class LetterCatalogue {
+  constructor(letters) {
+    this.letters = letters;
+    this.byId = new Map(letters.map(letter => [letter.id, letter]));
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  has(id) {
+    return this.byId.has(id);
+  }
+
+  get size() {
+    return this.letters.length;
+  }
+
+  forEach(callback) {
+    this.letters.forEach(callback);
+  }
+}
+
+/**
+ * Validate the catalogue and return it, throwing a CatalogueError that lists
+ * every problem if any entry is invalid.
+ * @param {Array<Object>} entries - Raw entries (defaults to the bundled letters.json)
+ * @returns {LetterCatalogue}
+ */
+export function loadCatalogue(entries = lettersData) {
+  const { letters, problems } = validateLetters(entries);
+
+  if (problems.length > 0) {
+    const error = new CatalogueError(problems);
+    console.error(error.message);
+    throw error;
+  }
+
+  console.log(`Letter catalogue loaded: ${letters.length} letters`);
+  return new LetterCatalogue(letters);
+}
@@ -0,0 +1,154 @@
+/**
+ * Intro sequence format
+ *
+ * The chapters the intro plays before the archive opens, e.g.
+ * public/intro/sequence.json:
+ *
+ *   {
+ *     "name": "Sednaya",
+ *     "chapters": [
+ *       {
+ *         "id": "flythrough",
+ *         "path": "flythrough.json",        // optional camera path, relative to the sequence
+ *         "duration": 18,                   // seconds; optional with a path (defaults to the path's)
+ *         "narration": { "en": "voice/en.mp3", "ar": "voice/ar.mp3" }, // optional URL or map of language to URL
+ *         "effects": "loading",             // optional post-processing preset (EFFECT_PRESETS)
+ *         "cards": [                        // optional text cards
+ *           { "text": { "en": "...", "de": "..." }, "at": 2, "duration": 5 }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Chapters play in order. Without a path the camera holds where the previous
+ * chapter left it. Card times are seconds from the start of their chapter.
+ * Kept free of browser APIs so sequences can also be checked from Node.
+ */
+
+import { ValidationError, isObject, isText, checkFields, assertValid } from './validation.js';
+
+const SEQUENCE_FIELDS = ['name', 'chapters'];
+const CHAPTER_FIELDS = ['id', 'path', 'duration', 'narration', 'effects', 'cards'];
+const CARD_FIELDS = ['text', 'at', 'duration'];
+
+/**
+ * Thrown when an intro sequence is invalid. `problems` holds every issue found.
+ */
+export class IntroSequenceError extends ValidationError {
+  constructor(name, problems) {
+    super('Intro sequence', name, problems);
+    this.name = 'IntroSequenceError';
+  }
+}
+
+// A string, or a map of language code to string
+const isLocalized = (value) => isText(value) ||
+  (isObject(value) && Object.keys(value).length > 0 && Object.values(value).every(isText));
+
+function validateCard(card, report) {
+  if (!isObject(card)) {
+    report('must be an object');
+    return null;
+  }
+  if (!isLocalized(card.text)) {
+    report('text must be a string or a map of language code to string');
+  }
+  if (!(Number.isFinite(card.at) && card.at >= 0)) {
+    report('at must be a number of seconds >= 0');
+  }
+  if (!(Number.isFinite(card.duration) && card.duration > 0)) {
+    report('duration must be a positive number of seconds');
+  }
+  checkFields(card, CARD_FIELDS, report);
+
+  return { text: card.text, at: card.at, duration: card.duration };
+}
+
+/**
+ * Validate and normalise a raw intro sequence.
+ * @param {Object} raw - Parsed sequence JSON
+ * @returns {{ sequence: Object|null, problems: Array<string> }}
+ */
+export function validateIntroSequence(raw) {
+  const problems = [];
+
+  if (!isObject(raw)) {
+    return { sequence: null, problems: ['sequence must be an object'] };
+  }
+
+  if (!isText(raw.name)) {
+    problems.push('name must be a non-empty string');
+  }
+  checkFields(raw, SEQUENCE_FIELDS, (message) => problems.push(message));
+
+  if (!Array.isArray(raw.chapters) || raw.chapters.length === 0) {
+    problems.push('chapters must be a non-empty array');
+    return { sequence: null, problems };
+  }
+
+  const ids = new Set();
+  const chapters = raw.chapters.map((chapter, index) => {
+    const report = (message) => problems.push(`chapter #${index}${chapter?.id ? ` (${chapter.id})` : ''}: ${message}`);
+
+    if (!isObject(chapter)) {
+      report('must be an object');
+      return null;
+    }
+    if (!isText(chapter.id)) {
+      report('id must be a non-empty string');
+    } else if (ids.has(chapter.id)) {
+      report('id is used by an earlier chapter');
+    }
+    if (chapter.path !== undefined && !isText(chapter.path)) {
+      report('path must be the path of a camera path file');
+    }
+    if (chapter.duration !== undefined && !(Number.isFinite(chapter.duration) && chapter.duration > 0)) {
+      report('duration must be a positive number of seconds');
+    }
+    if (chapter.path === undefined && chapter.duration === undefined) {
+      report('needs a duration when it has no path');
+    }
+    if (chapter.narration !== undefined && !isLocalized(chapter.narration)) {
+      report('narration must be a URL or a map of language code to URL');
+    }
+    if (chapter.effects !== undefined && !isText(chapter.effects)) {
+      report('effects must be the name of a post-processing preset');
+    }
+    if (chapter.cards !== undefined && !Array.isArray(chapter.cards)) {
+      report('cards must be an array');
+    }
+    checkFields(chapter, CHAPTER_FIELDS, report);
+
+    if (isText(chapter.id)) ids.add(chapter.id);
+
+    const cards = Array.isArray(chapter.cards)
+      ? chapter.cards.map((card, cardIndex) => validateCard(card, (message) => report(`card #${cardIndex}: ${message}`)))
+      : [];
+
+    return {
+      id: chapter.id,
+      path: chapter.path ?? null,
+      duration: chapter.duration ?? null,
+      narration: chapter.narration ?? null,
+      effects: chapter.effects ?? null,
+      cards
+    };
+  });
+
+  if (problems.length > 0) {
+    return { sequence: null, problems };
+  }
+
+  return { sequence: { name: raw.name, chapters }, problems };
+}
+
+/**
+ * Validate an intro sequence, throwing an IntroSequenceError listing every problem
+ * @param {Object} raw - Parsed sequence JSON
+ * @returns {Object} Normalised sequence
+ */
+export function loadIntroSequence(raw) {
+  const { sequence, problems } = validateIntroSequence(raw);
+  assertValid(IntroSequenceError, raw, problems);
+  return sequence;
+}
@@ -0,0 +1,291 @@
+/**
+ * Letter catalogue schema
+ *
+ * Declares every field a letters.json entry may carry and validates entries
+ * against it. Kept free of browser APIs and Vite aliases so the same rules run
+ * in the app and in `npm run validate:letters`.
+ */
+import { ASSETS, LANGUAGE } from '../config/constants.js';
+import { formatStringAll } from '../config/strings.js';
+
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.m4a', '.webm'];
+const SUBTITLE_EXTENSIONS = ['.vtt', '.srt'];
+const SIDES = ['front', 'back'];
+
+/**
+ * Field definitions. `default` receives the (already validated) id and is
+ * used when the field is absent. `localized` fields accept either a single
+ * value (taken to be in LANGUAGE.DEFAULT) or a map of language code to value,
+ * and are always normalised to the map form. Fields with a `search` weight
+ * are indexed by the letter search (see src/data/searchIndex.js).
+ */
+export const LETTER_SCHEMA = {
+  id: { type: 'id', required: true, search: 2 },
+  position: { type: 'vector3', required: true },
+  model: { type: 'asset', required: true, extensions: MODEL_EXTENSIONS },
+  frontImage: {
+    type: 'asset',
+    extensions: IMAGE_EXTENSIONS,
+    default: (id) => `${ASSETS.LETTERS}/${id}.jpg`
+  },
+  backImage: {
+    type: 'asset',
+    extensions: IMAGE_EXTENSIONS,
+    default: (id) => `${ASSETS.LETTERS}/${id}-${id}.jpg`
+  },
+  narration: { type: 'asset', localized: true, extensions: AUDIO_EXTENSIONS, default: () => null },
+  subtitles: { type: 'asset', localized: true, extensions: SUBTITLE_EXTENSIONS, default: () => null },
+  theme: { type: 'asset', extensions: AUDIO_EXTENSIONS, default: () => null },
+  ambience: { type: 'asset', extensions: AUDIO_EXTENSIONS, default: () => null },
+  text: {
+    type: 'string',
+    localized: true,
+    default: (id) => formatStringAll('subtitle.placeholder', { id }),
+    search: 1
+  },
+  transcription: { type: 'transcription', default: () => [], search: 1.5 }
+};
+
+/**
+ * Thrown when the catalogue contains invalid entries. `problems` holds every
+ * issue found, not just the first one.
+ */
+export class CatalogueError extends Error {
+  constructor(problems) {
+    const lines = problems.map(formatProblem);
+    super(`Letter catalogue has ${problems.length} problem(s):\n${lines.join('\n')}`);
+    this.name = 'CatalogueError';
+    this.problems = problems;
+  }
+}
+
+export function formatProblem(problem) {
+  return `  - ${problem.entry}: ${problem.message}`;
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Each checker returns an error message, or null when the value is valid
+const checkers = {
+  id: (value) => {
+    if (!Number.isInteger(value) || value < 1) {
+      return `must be a positive integer (got ${JSON.stringify(value)})`;
+    }
+    return null;
+  },
+
+  vector3: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object with numeric x, y and z';
+    }
+    const bad = ['x', 'y', 'z'].filter(axis => !isFiniteNumber(value[axis]));
+    if (bad.length > 0) {
+      return `${bad.join(', ')} must be finite number(s)`;
+    }
+    return null;
+  },
+
+  asset: (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return 'must be a non-empty path string';
+    }
+    if (!value.startsWith('/')) {
+      return `must be an absolute path from the public root (got "${value}")`;
+    }
+    const lower = value.toLowerCase();
+    if (field.extensions && !field.extensions.some(ext => lower.endsWith(ext))) {
+      return `must end in one of ${field.extensions.join(', ')} (got "${value}")`;
+    }
+    return null;
+  },
+
+  string: (value) => {
+    if (typeof value !== 'string') {
+      return 'must be a string';
+    }
+    return null;
+  },
+
+  // [start, end] in seconds of narration
+  timeRange: (value) => {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isFiniteNumber)) {
+      return 'must be [start, end] in seconds';
+    }
+    if (value[0] < 0 || value[1] <= value[0]) {
+      return `must have 0 <= start < end (got [${value.join(', ')}])`;
+    }
+    return null;
+  },
+
+  // [x, y, width, height] as fractions of the scan, from its top-left corner
+  region: (value) => {
+    if (!Array.isArray(value) || value.length !== 4 || !value.every(isFiniteNumber)) {
+      return 'must be [x, y, width, height]';
+    }
+    const [x, y, width, height] = value;
+    if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1 || y + height > 1) {
+      return `must lie within the scan, as fractions from 0 to 1 (got [${value.join(', ')}])`;
+    }
+    return null;
+  },
+
+  transcription: (value) => {
+    if (!Array.isArray(value)) {
+      return 'must be an array of lines';
+    }
+    const errors = [];
+    value.forEach((line, index) => {
+      const report = (message) => errors.push(`line ${index} ${message}`);
+      if (!line || typeof line !== 'object' || Array.isArray(line)) {
+        report('must be an object');
+        return;
+      }
+      if (!SIDES.includes(line.side)) {
+        report(`side must be one of ${SIDES.join(', ')}`);
+      }
+      const regionError = checkers.region(line.region);
+      if (regionError) report(`region ${regionError}`);
+      if (line.text !== undefined && typeof line.text !== 'string') {
+        report('text must be a string');
+      }
+      if (line.time === undefined) {
+        report('time is required');
+      } else {
+        const result = checkLocalized(line.time, { type: 'timeRange' });
+        if (result.error) report(`time ${result.error}`);
+      }
+    });
+    return errors.length > 0 ? errors.join('; ') : null;
+  }
+};
+
+// Copies of validated values in their normalised form
+const normalizers = {
+  vector3: (value) => ({ x: value.x, y: value.y, z: value.z }),
+  transcription: (lines) => lines.map(line => ({
+    side: line.side,
+    region: [...line.region],
+    text: line.text ?? '',
+    time: checkLocalized(line.time, { type: 'timeRange' }).value
+  }))
+};
+
+/**
+ * Check a localized field. Returns { error } or { value } with the value
+ * normalised to a language map.
+ */
+function checkLocalized(value, field) {
+  const check = checkers[field.type];
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    const error = check(value, field);
+    return error ? { error } : { value: { [LANGUAGE.DEFAULT]: value } };
+  }
+
+  const languages = Object.keys(value);
+  if (languages.length === 0) {
+    return { error: 'must name at least one language' };
+  }
+
+  const errors = [];
+  languages.forEach(language => {
+    if (!LANGUAGE.SUPPORTED.includes(language)) {
+      errors.push(`"${language}" is not a supported language (${LANGUAGE.SUPPORTED.join(', ')})`);
+      return;
+    }
+    const error = check(value[language], field);
+    if (error) errors.push(`[${language}] ${error}`);
+  });
+
+  return errors.length > 0 ? { error: errors.join('; ') } : { value: { ...value } };
+}
+
+/**
+ * Validate and normalise a list of raw letter entries.
+ * @param {Array<Object>} entries - Parsed letters.json contents
+ * @returns {{ letters: Array<Object>, problems: Array<{entry: string, field: string|null, message: string}> }}
+ */
+export function validateLetters(entries) {
+  const problems = [];
+  const letters = [];
+
+  if (!Array.isArray(entries)) {
+    problems.push({ entry: 'catalogue', field: null, message: 'must be an array of letter entries' });
+    return { letters, problems };
+  }
+
+  const seenIds = new Map();
+
+  entries.forEach((raw, index) => {
+    const hasId = raw && Number.isInteger(raw.id);
+    const entry = hasId ? `letter ${raw.id}` : `entry #${index}`;
+    const report = (field, message) => {
+      problems.push({ entry, field, message: field ? `${field} ${message}` : message });
+    };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      report(null, 'must be an object');
+      return;
+    }
+
+    const letter = {};
+    let valid = true;
+
+    Object.entries(LETTER_SCHEMA).forEach(([key, field]) => {
+      const value = raw[key];
+
+      if (value === undefined || value === null) {
+        if (field.required) {
+          report(key, 'is required');
+          valid = false;
+        } else if (hasId && field.default) {
+          letter[key] = field.default(raw.id);
+        }
+        return;
+      }
+
+      if (field.localized) {
+        const result = checkLocalized(value, field);
+        if (result.error) {
+          report(key, result.error);
+          valid = false;
+        } else {
+          letter[key] = result.value;
+        }
+        return;
+      }
+
+      const error = checkers[field.type](value, field);
+      if (error) {
+        report(key, error);
+        valid = false;
+        return;
+      }
+
+      const normalize = normalizers[field.type];
+      letter[key] = normalize ? normalize(value) : value;
+    });
+
+    // Catch typos such as "narations" that would otherwise be silently ignored
+    Object.keys(raw)
+      .filter(key => !(key in LETTER_SCHEMA))
+      .forEach(key => report(key, 'is not a known field'));
+
+    if (hasId) {
+      if (seenIds.has(raw.id)) {
+        report('id', `is a duplicate of entry #${seenIds.get(raw.id)}`);
+        valid = false;
+      } else {
+        seenIds.set(raw.id, index);
+      }
+    }
+
+    if (valid) {
+      letters.push(letter);
+    }
+  });
+
+  return { letters, problems };
+}
@@ -0,0 +1,122 @@
+/**
+ * Visitor progress - what a returning visitor gets back, kept in localStorage
+ *
+ * One JSON record under PROGRESS.STORAGE_KEY, tagged with PROGRESS.VERSION.
+ * Records from another version, or that cannot be read, are dropped rather
+ * than migrated; fields that fail their check fall back to their default.
+ * Without storage (private browsing, blocked site data) progress lasts for
+ * the session only.
+ */
+import { PROGRESS, LANGUAGE, SOUNDSCAPE, QUALITY } from '../config/constants.js';
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function defaults() {
+  return {
+    visited: [],
+    camera: null, // { position: [x, y, z], yaw, pitch }
+    audio: { volume: 1, muted: false, soundscape: SOUNDSCAPE.ENABLED },
+    language: null, // null = detect from the browser
+    skipIntro: PROGRESS.SKIP_INTRO,
+    quality: { level: null, override: null } // Last level chosen from frame times; level set by hand (null = auto)
+  };
+}
+
+// Keep the valid parts of a stored record
+function sanitize(record) {
+  const data = defaults();
+
+  if (Array.isArray(record.visited)) {
+    data.visited = record.visited.filter(Number.isInteger);
+  }
+
+  const camera = record.camera;
+  if (camera && Array.isArray(camera.position) && camera.position.length === 3
+    && camera.position.every(isFiniteNumber) && isFiniteNumber(camera.yaw) && isFiniteNumber(camera.pitch)) {
+    data.camera = { position: camera.position, yaw: camera.yaw, pitch: camera.pitch };
+  }
+
+  const audio = record.audio ?? {};
+  if (isFiniteNumber(audio.volume)) data.audio.volume = Math.min(Math.max(audio.volume, 0), 1);
+  if (typeof audio.muted === 'boolean') data.audio.muted = audio.muted;
+  if (typeof audio.soundscape === 'boolean') data.audio.soundscape = audio.soundscape;
+
+  if (LANGUAGE.SUPPORTED.includes(record.language)) data.language = record.language;
+  if (typeof record.skipIntro === 'boolean') data.skipIntro = record.skipIntro;
+
+  const quality = record.quality ?? {};
+  if (QUALITY.LEVELS.includes(quality.level)) data.quality.level = quality.level;
+  if (QUALITY.LEVELS.includes(quality.override)) data.quality.override = quality.override;
+
+  return data;
+}
+
+// localStorage itself can throw (e.g. a SecurityError when site data is blocked)
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export class ProgressStore {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.isReturning = false; // A record was found when the page loaded
+    this.data = this.read();
+  }
+
+  read() {
+    const raw = this.storage?.getItem(PROGRESS.STORAGE_KEY);
+    if (!raw) return defaults();
+
+    try {
+      const record = JSON.parse(raw);
+      if (record?.version !== PROGRESS.VERSION) {
+        console.warn(`Progress: dropping saved progress from version ${record?.version}`);
+        return defaults();
+      }
+      this.isReturning = true;
+      console.log(`Progress: restored (saved ${record.savedAt ?? 'at an unknown time'})`);
+      return sanitize(record);
+    } catch (error) {
+      console.warn('Progress: saved progress is unreadable, starting afresh', error);
+      return defaults();
+    }
+  }
+
+  /**
+   * Change some fields and save
+   * @param {Object} changes - Fields to replace, e.g. { language: 'de' }
+   */
+  update(changes) {
+    Object.assign(this.data, changes);
+    this.write();
+  }
+
+  write() {
+    if (!this.storage) return;
+    try {
+      const record = { version: PROGRESS.VERSION, savedAt: new Date().toISOString(), ...this.data };
+      this.storage.setItem(PROGRESS.STORAGE_KEY, JSON.stringify(record));
+    } catch (error) {
+      // Quota exceeded or storage blocked
+      console.warn('Progress: could not save', error);
+    }
+  }
+
+  /**
+   * Forget everything stored
+   */
+  reset() {
+    try {
+      this.storage?.removeItem(PROGRESS.STORAGE_KEY);
+    } catch (error) {
+      console.warn('Progress: could not clear saved progress', error);
+    }
+    this.data = defaults();
+    this.isReturning = false;
+    console.log('Progress: reset');
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Scene manifest format
+ *
+ * Lists the models of a site reconstruction shown by the intro, e.g.
+ * public/3d_sednaya/scene.json:
+ *
+ *   {
+ *     "name": "Sednaya",
+ *     "assets": [
+ *       {
+ *         "id": "terrain",
+ *         "model": "terrain.glb",            // GLB, relative to the manifest
+ *         "source": "../../assets-src/sednaya/terrain.js", // optional legacy JSON for npm run convert:sednaya,
+ *                                            //   relative to the manifest and kept out of public/
+ *         "origin": true,                    // optional; the converter centres every model on this one
+ *         "after": "building",               // optional; load once this asset (listed earlier) is done
+ *         "material": {                      // optional; replaces the model's own materials
+ *           "type": "basic",                 //   "lambert" (default, lit) or "basic" (unlit)
+ *           "color": "#ffffff",              //   optional sRGB colour
+ *           "texture": "panchromatic.jpg",   //   optional image, relative to the manifest
+ *           "opacity": 1                     //   optional, 0 to 1
+ *         },
+ *         "position": [0, 0, 0],             // optional, world units
+ *         "rotation": [0, 90, 0],            // optional, degrees
+ *         "scale": [1, 1, 1]                 // optional
+ *       }
+ *     ]
+ *   }
+ *
+ * Assets load in the order listed, all at once unless they wait for another
+ * with `after`. Kept free of browser APIs so the converter can read it in Node.
+ */
+
+import { ValidationError, isObject, isText, isVector, checkFields, assertValid } from './validation.js';
+
+const MANIFEST_FIELDS = ['name', 'assets'];
+const ASSET_FIELDS = ['id', 'model', 'source', 'origin', 'after', 'material', 'position', 'rotation', 'scale'];
+const MATERIAL_FIELDS = ['type', 'color', 'texture', 'opacity'];
+const MATERIAL_TYPES = ['lambert', 'basic'];
+
+/**
+ * Thrown when a scene manifest is invalid. `problems` holds every issue found.
+ */
+export class SceneManifestError extends ValidationError {
+  constructor(name, problems) {
+    super('Scene manifest', name, problems);
+    this.name = 'SceneManifestError';
+  }
+}
+
+function validateMaterial(material, report) {
+  if (!isObject(material)) {
+    report('material must be an object');
+    return;
+  }
+  if (material.type !== undefined && !MATERIAL_TYPES.includes(material.type)) {
+    report(`material type must be one of ${MATERIAL_TYPES.join(', ')}`);
+  }
+  if (material.color !== undefined && !/^#[0-9a-f]{6}$/i.test(material.color)) {
+    report('material color must be a "#rrggbb" string');
+  }
+  if (material.texture !== undefined && !isText(material.texture)) {
+    report('material texture must be a path');
+  }
+  if (material.opacity !== undefined && !(Number.isFinite(material.opacity) && material.opacity >= 0 && material.opacity <= 1)) {
+    report('material opacity must be a number from 0 to 1');
+  }
+  checkFields(material, MATERIAL_FIELDS, report, 'material ');
+}
+
+/**
+ * Validate and normalise a raw scene manifest.
+ * @param {Object} raw - Parsed manifest JSON
+ * @returns {{ manifest: Object|null, problems: Array<string> }}
+ */
+export function validateSceneManifest(raw) {
+  const problems = [];
+
+  if (!isObject(raw)) {
+    return { manifest: null, problems: ['manifest must be an object'] };
+  }
+
+  if (!isText(raw.name)) {
+    problems.push('name must be a non-empty string');
+  }
+  checkFields(raw, MANIFEST_FIELDS, (message) => problems.push(message));
+
+  if (!Array.isArray(raw.assets) || raw.assets.length === 0) {
+    problems.push('assets must be a non-empty array');
+    return { manifest: null, problems };
+  }
+
+  const ids = new Set();
+  let origins = 0;
+  const assets = raw.assets.map((asset, index) => {
+    const report = (message) => problems.push(`asset #${index}${asset?.id ? ` (${asset.id})` : ''}: ${message}`);
+
+    if (!isObject(asset)) {
+      report('must be an object');
+      return null;
+    }
+    if (!isText(asset.id)) {
+      report('id must be a non-empty string');
+    } else if (ids.has(asset.id)) {
+      report('id is used by an earlier asset');
+    }
+    if (!isText(asset.model)) {
+      report('model must be a path to a GLB');
+    }
+    if (asset.source !== undefined && !isText(asset.source)) {
+      report('source must be a path');
+    }
+    if (asset.origin !== undefined && typeof asset.origin !== 'boolean') {
+      report('origin must be true or false');
+    }
+    if (asset.origin) origins++;
+    // Only earlier assets, so the waits cannot form a loop
+    if (asset.after !== undefined && !ids.has(asset.after)) {
+      report(`after must be the id of an earlier asset (got ${JSON.stringify(asset.after)})`);
+    }
+    if (asset.material !== undefined) {
+      validateMaterial(asset.material, report);
+    }
+    ['position', 'rotation', 'scale'].forEach(key => {
+      if (asset[key] !== undefined && !isVector(asset[key])) {
+        report(`${key} must be an [x, y, z] array`);
+      }
+    });
+    checkFields(asset, ASSET_FIELDS, report);
+
+    if (isText(asset.id)) ids.add(asset.id);
+
+    return {
+      id: asset.id,
+      model: asset.model,
+      source: asset.source ?? null,
+      origin: asset.origin ?? false,
+      after: asset.after ?? null,
+      material: asset.material ?? null,
+      position: asset.position ?? null,
+      rotation: asset.rotation ?? null,
+      scale: asset.scale ?? null
+    };
+  });
+
+  if (origins > 1) {
+    problems.push('only one asset can be the origin');
+  }
+
+  if (problems.length > 0) {
+    return { manifest: null, problems };
+  }
+
+  return { manifest: { name: raw.name, assets }, problems };
+}
+
+/**
+ * Validate a scene manifest, throwing a SceneManifestError listing every problem
+ * @param {Object} raw - Parsed manifest JSON
+ * @returns {Object} Normalised manifest
+ */
+export function loadSceneManifest(raw) {
+  const { manifest, problems } = validateSceneManifest(raw);
+  assertValid(SceneManifestError, raw, problems);
+  return manifest;
+}
@@ -0,0 +1,89 @@
+/**
+ * Letter search - fuzzy full-text search over the catalogue
+ *
+ * Indexes every letters.json field that has a `search` weight in
+ * LETTER_SCHEMA, in all of its languages. A letter matches when every word
+ * of the query matches some word of it (see matchToken); letters are ranked
+ * by how well and in how important a field they match.
+ */
+import { LETTER_SCHEMA } from './letterSchema.js';
+import { SEARCH } from '../config/constants.js';
+import { tokenize, matchToken } from '../utils/textSearch.js';
+
+const SEARCHABLE = Object.entries(LETTER_SCHEMA).filter(([, field]) => field.search);
+
+/**
+ * Searchable texts of one field value, with the language they are in
+ * @returns {Array<{ text: string, language: string|null }>}
+ */
+function extractTexts(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'number' || typeof value === 'string') {
+    return [{ text: String(value), language: null }];
+  }
+  if (Array.isArray(value)) {
+    // Transcription lines
+    return value.filter(line => line.text).map(line => ({ text: line.text, language: null }));
+  }
+  return Object.entries(value).map(([language, text]) => ({ text, language }));
+}
+
+export class LetterSearchIndex {
+  /**
+   * @param {LetterCatalogue} catalogue - Validated catalogue
+   */
+  constructor(catalogue) {
+    this.entries = [];
+
+    catalogue.forEach(letter => {
+      SEARCHABLE.forEach(([key, field]) => {
+        // Generated placeholders (e.g. the default text) say nothing about the letter
+        if (field.default && JSON.stringify(letter[key]) === JSON.stringify(field.default(letter.id))) return;
+
+        extractTexts(letter[key]).forEach(({ text, language }) => {
+          this.entries.push({
+            id: letter.id,
+            field: key,
+            weight: field.search,
+            language,
+            text,
+            tokens: tokenize(text)
+          });
+        });
+      });
+    });
+
+    console.log(`Search index: ${this.entries.length} texts from ${catalogue.size} letters`);
+  }
+
+  /**
+   * @param {string} query - What the visitor typed
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Array<{ id: number, score: number, field: string, language: string|null, text: string }>}
+   *   Best first; `text` is the best-matching text of the letter
+   */
+  search(query, limit = SEARCH.MAX_RESULTS) {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    const results = new Map(); // id -> best result
+    this.entries.forEach(entry => {
+      let score = 0;
+      for (const word of words) {
+        const best = Math.max(0, ...entry.tokens.map(token => matchToken(word, token)));
+        if (best === 0) return;
+        score += best;
+      }
+      score *= entry.weight / words.length;
+
+      const current = results.get(entry.id);
+      if (!current || score > current.score) {
+        results.set(entry.id, { id: entry.id, score, field: entry.field, language: entry.language, text: entry.text });
+      }
+    });
+
+    return [...results.values()]
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, limit);
+  }
+}
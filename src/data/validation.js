@@ -0,0 +1,52 @@
+/**
+ * Checks shared by the JSON formats in this folder (camera paths, scene
+ * manifests, intro sequences). Each format collects every problem it finds
+ * and reports them together. Kept free of browser APIs.
+ */
+
+/**
+ * Thrown when a file is invalid. `problems` holds every issue found.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} kind - What was checked, e.g. 'Camera path'
+   * @param {string} name - The file's `name`
+   * @param {Array<string>} problems
+   */
+  constructor(kind, name, problems) {
+    super(`${kind} "${name}" has ${problems.length} problem(s):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ValidationError';
+    this.problems = problems;
+  }
+}
+
+export const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+export const isText = (value) => typeof value === 'string' && value.trim() !== '';
+export const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+/**
+ * Report every key of `object` not listed in `fields`
+ * @param {Object} object
+ * @param {Array<string>} fields - Known field names
+ * @param {function(string)} report
+ * @param {string} [prefix] - Put before the field name, e.g. 'material '
+ */
+export function checkFields(object, fields, report, prefix = '') {
+  Object.keys(object)
+    .filter(key => !fields.includes(key))
+    .forEach(key => report(`${prefix}${key} is not a known field`));
+}
+
+/**
+ * Log and throw an error of `ErrorClass` when there are problems
+ * @param {function(new:ValidationError, string, Array<string>)} ErrorClass
+ * @param {Object} raw - The parsed file, for its name
+ * @param {Array<string>} problems
+ */
+export function assertValid(ErrorClass, raw, problems) {
+  if (problems.length === 0) return;
+
+  const error = new ErrorClass(raw?.name ?? 'unnamed', problems);
+  console.error(error.message);
+  throw error;
+}
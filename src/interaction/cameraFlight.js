@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+import { SEARCH, CAMERA } from '../config/constants.js';
+import { ultraSmoothEase } from '../utils/easing.js';
+
+const _start = new THREE.Euler(0, 0, 0, 'YXZ');
+const _end = new THREE.Euler(0, 0, 0, 'YXZ');
+const _matrix = new THREE.Matrix4();
+const _quaternion = new THREE.Quaternion();
+
+/**
+ * CameraFlight - Flies the camera to a viewpoint along an arc
+ *
+ * The arc rises over the letters in between (the higher the longer the
+ * flight) and lands at eye height, eased with the same curve as the intro
+ * flythrough. Yaw and pitch turn towards the target on the way; the camera
+ * never rolls, so pointer-lock mouse look carries on smoothly afterwards.
+ */
+export class CameraFlight {
+  constructor(camera) {
+    this.camera = camera;
+    this.curve = null;
+    this.duration = 0;
+    this.elapsed = 0;
+    this.onComplete = null;
+
+    this.startYaw = 0;
+    this.startPitch = 0;
+    this.endYaw = 0;
+    this.endPitch = 0;
+  }
+
+  get isActive() {
+    return this.curve !== null;
+  }
+
+  /**
+   * @param {THREE.Vector3} position - Where to land
+   * @param {THREE.Vector3} lookAt - What to face on arrival
+   * @param {function} [onComplete] - Called once landed
+   */
+  start(position, lookAt, onComplete = null) {
+    const from = this.camera.position.clone();
+    const to = position.clone();
+    const length = from.distanceTo(to);
+
+    const peak = Math.max(from.y, to.y, CAMERA.EYE_HEIGHT)
+      + Math.min(length * SEARCH.ARC_HEIGHT, SEARCH.MAX_ARC_HEIGHT);
+    const control = from.clone().lerp(to, 0.5).setY(peak);
+    this.curve = new THREE.QuadraticBezierCurve3(from, control, to);
+
+    this.duration = THREE.MathUtils.clamp(
+      this.curve.getLength() / SEARCH.FLIGHT_SPEED,
+      SEARCH.MIN_FLIGHT_TIME,
+      SEARCH.MAX_FLIGHT_TIME
+    );
+    this.elapsed = 0;
+    this.onComplete = onComplete;
+
+    // Final orientation, turned the short way round
+    _start.setFromQuaternion(this.camera.quaternion, 'YXZ');
+    _matrix.lookAt(to, lookAt, this.camera.up);
+    _end.setFromQuaternion(_quaternion.setFromRotationMatrix(_matrix), 'YXZ');
+    this.startYaw = _start.y;
+    this.startPitch = _start.x;
+    this.endYaw = this.startYaw + Math.atan2(Math.sin(_end.y - _start.y), Math.cos(_end.y - _start.y));
+    this.endPitch = _end.x;
+
+    console.log(`Flying ${length.toFixed(1)} units in ${this.duration.toFixed(1)}s`);
+  }
+
+  cancel() {
+    this.curve = null;
+    this.onComplete = null;
+  }
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (!this.isActive) return;
+
+    this.elapsed += Math.min(delta, 0.1);
+    const t = Math.min(this.elapsed / this.duration, 1);
+    const eased = ultraSmoothEase(t);
+
+    this.curve.getPoint(eased, this.camera.position);
+    _end.set(
+      THREE.MathUtils.lerp(this.startPitch, this.endPitch, eased),
+      THREE.MathUtils.lerp(this.startYaw, this.endYaw, eased),
+      0
+    );
+    this.camera.quaternion.setFromEuler(_end);
+
+    if (t >= 1) {
+      const onComplete = this.onComplete;
+      this.cancel();
+      if (onComplete) onComplete();
+    }
+  }
+}
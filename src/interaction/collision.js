@@ -0,0 +1,136 @@
+import { COLLISION } from '../config/constants.js';
+
+// Box fields for the moving axis and the other axis
+const AXES = {
+  x: ['minX', 'maxX', 'minZ', 'maxZ'],
+  z: ['minZ', 'maxZ', 'minX', 'maxX']
+};
+
+/**
+ * CollisionSystem - Keeps the visitor out of the letters and inside the walkable area
+ *
+ * Letters are boxes on the ground plane (their local bounds at rest, since
+ * the sway animation keeps nearby letters close to rotation 0), grown by the
+ * player radius so the camera can be treated as a point. Moves are resolved
+ * one axis at a time: the blocked component stops and the other is kept, so
+ * the visitor slides along a letter instead of sticking to it.
+ */
+export class CollisionSystem {
+  constructor(letters, options = {}) {
+    this.enabled = options.enabled ?? COLLISION.ENABLED;
+    this.radius = options.radius ?? COLLISION.PLAYER_RADIUS;
+    this.letters = letters;
+    this.obstacles = letters.map(letter => this.createObstacle(letter));
+    this.area = options.area ?? COLLISION.WALKABLE_AREA ?? this.computeArea(letters, COLLISION.WALKABLE_MARGIN);
+
+    console.log(`Collision: ${this.obstacles.length} letters, walkable area`, this.area);
+  }
+
+  createObstacle(letter) {
+    const bounds = letter.userData.bounds;
+    const scale = letter.scale.x;
+    const grow = this.radius + COLLISION.LETTER_PADDING;
+
+    // Models without meshes get a small default footprint
+    const hasBounds = bounds && !bounds.isEmpty();
+    const centerX = letter.position.x + (hasBounds ? (bounds.min.x + bounds.max.x) / 2 * scale : 0);
+    const centerZ = letter.position.z + (hasBounds ? (bounds.min.z + bounds.max.z) / 2 * scale : 0);
+    const halfX = (hasBounds ? (bounds.max.x - bounds.min.x) / 2 * scale : 0.5) + grow;
+    const halfZ = (hasBounds ? (bounds.max.z - bounds.min.z) / 2 * scale : 0.5) + grow;
+
+    return {
+      minX: centerX - halfX,
+      maxX: centerX + halfX,
+      minZ: centerZ - halfZ,
+      maxZ: centerZ + halfZ
+    };
+  }
+
+  /**
+   * Rebuild a letter's box after its bounds changed (e.g. its full model
+   * replaced the placeholder)
+   */
+  updateLetter(letter) {
+    const index = this.letters.indexOf(letter);
+    if (index !== -1) {
+      this.obstacles[index] = this.createObstacle(letter);
+    }
+  }
+
+  /**
+   * Extent of the letter grid plus a margin
+   */
+  computeArea(letters, margin) {
+    if (letters.length === 0) {
+      return { minX: -margin, maxX: margin, minZ: -margin, maxZ: margin };
+    }
+    const xs = letters.map(letter => letter.position.x);
+    const zs = letters.map(letter => letter.position.z);
+    return {
+      minX: Math.min(...xs) - margin,
+      maxX: Math.max(...xs) + margin,
+      minZ: Math.min(...zs) - margin,
+      maxZ: Math.max(...zs) + margin
+    };
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log(`Collision ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Correct a move so it does not enter a letter or leave the walkable area
+   * @param {THREE.Vector3} from - Position before the move
+   * @param {THREE.Vector3} to - Position after the move (corrected in place)
+   * @returns {THREE.Vector3} `to`
+   */
+  resolve(from, to) {
+    if (!this.enabled) return to;
+
+    to.x = this.sweep(from.x, to.x, from.z, 'x');
+    to.z = this.sweep(from.z, to.z, to.x, 'z');
+
+    // Already inside (e.g. left there by the guided tour): step out the shortest way
+    this.pushOut(to);
+
+    to.x = Math.min(Math.max(to.x, this.area.minX), this.area.maxX);
+    to.z = Math.min(Math.max(to.z, this.area.minZ), this.area.maxZ);
+    return to;
+  }
+
+  /**
+   * Move along one axis from `start` to `end`, stopping at the first box face
+   * crossed. Checking the whole segment means fast moves cannot tunnel through.
+   */
+  sweep(start, end, other, axis) {
+    const [min, max, otherMin, otherMax] = AXES[axis];
+    let result = end;
+
+    this.obstacles.forEach(box => {
+      if (other <= box[otherMin] || other >= box[otherMax]) return;
+      if (start <= box[min] && result > box[min]) {
+        result = box[min];
+      } else if (start >= box[max] && result < box[max]) {
+        result = box[max];
+      }
+    });
+
+    return result;
+  }
+
+  pushOut(position) {
+    this.obstacles.forEach(box => {
+      if (position.x <= box.minX || position.x >= box.maxX || position.z <= box.minZ || position.z >= box.maxZ) return;
+
+      const exits = [
+        ['x', box.minX, position.x - box.minX],
+        ['x', box.maxX, box.maxX - position.x],
+        ['z', box.minZ, position.z - box.minZ],
+        ['z', box.maxZ, box.maxZ - position.z]
+      ];
+      const [axis, value] = exits.reduce((best, exit) => (exit[2] < best[2] ? exit : best));
+      position[axis] = value;
+    });
+  }
+}
@@ -0,0 +1,546 @@
+import { VIEWER, HIGHLIGHT } from '../config/constants.js';
+import { createPyramid, levelForScale, getTiles, loadTileManifest } from '../utils/deepZoom.js';
+
+/**
+ * DeepZoomViewer - Full-screen reader for the scanned letter images
+ *
+ * Scans that have a tile pyramid (see scripts/build-tiles.js) are drawn
+ * coarse to fine: the lowest levels arrive first and finer tiles replace
+ * them as they load, so only the visible part of a scan is downloaded at
+ * the resolution the current zoom needs. Scans without tiles fall back to
+ * the plain JPEG.
+ *
+ * The view is a centre point in scan pixels, a scale (screen pixels per
+ * scan pixel) and a rotation. Drag pans, wheel and pinch zoom, and a
+ * two-finger twist or the rotate buttons turn the scan. The transcription
+ * line being narrated (see setHighlight) is outlined on its scan and its
+ * text shown below.
+ */
+export class DeepZoomViewer {
+  constructor(root) {
+    this.root = root;
+    this.canvas = root.querySelector('canvas');
+    this.context = this.canvas.getContext('2d');
+    this.title = root.querySelector('#viewer-title');
+    this.status = root.querySelector('#viewer-status');
+    this.transcription = root.querySelector('#viewer-transcription');
+    this.sideButtons = root.querySelectorAll('[data-side]');
+
+    this.isOpen = false;
+    this.letterId = null;
+    this.sources = {}; // side -> { url, pyramid, image }
+    this.side = 'front';
+    this.highlight = null; // Transcription line { side, region, text }
+
+    this.center = { x: 0, y: 0 };
+    this.scale = 1;
+    this.rotation = 0;
+    this.fitScale = 1;
+    this.needsFit = false;
+
+    this.tiles = new Map(); // url -> { image, loaded, failed } (oldest first)
+    this.pending = 0;
+    this.frame = null;
+
+    this.pointers = new Map(); // pointer id -> { x, y }
+    this.gesture = null;
+    this.listeners = new Set();
+
+    this.render = this.render.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onDoubleClick = this.onDoubleClick.bind(this);
+
+    this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.canvas.addEventListener('pointermove', this.onPointerMove);
+    this.canvas.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    this.canvas.addEventListener('dblclick', this.onDoubleClick);
+
+    this.sideButtons.forEach(button => {
+      button.addEventListener('click', () => this.showSide(button.dataset.side));
+    });
+    root.querySelector('#viewer-rotate-left').addEventListener('click', () => this.rotateBy(-VIEWER.ROTATE_STEP));
+    root.querySelector('#viewer-rotate-right').addEventListener('click', () => this.rotateBy(VIEWER.ROTATE_STEP));
+    root.querySelector('#viewer-reset').addEventListener('click', () => this.reset());
+    root.querySelector('#viewer-close').addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Subscribe to open/close
+   * @param {function(DeepZoomViewer)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Show a letter's scans
+   * @param {Object} letter - Catalogue entry (frontImage, backImage)
+   * @param {string} [side] - 'front' | 'back'
+   * @param {string} [title] - Heading shown above the scan
+   */
+  async open(letter, side = 'front', title = '') {
+    // Open straight away; the scans follow once the manifest is in
+    this.sources = {};
+    this.letterId = letter.id;
+    this.title.textContent = title;
+    this.isOpen = true;
+    this.root.hidden = false;
+    window.addEventListener('resize', this.onResize);
+    document.addEventListener('keydown', this.onKeyDown);
+    this.onResize();
+    this.notify();
+
+    const manifest = await loadTileManifest();
+    if (!this.isOpen || this.letterId !== letter.id) return;
+
+    [['front', letter.frontImage], ['back', letter.backImage]].forEach(([key, url]) => {
+      if (!url) return;
+      const path = new URL(url, window.location.href).pathname;
+      this.sources[key] = {
+        url,
+        pyramid: manifest[path] ? createPyramid(manifest[path]) : null,
+        image: null
+      };
+    });
+
+    console.log(`Viewing scans of letter ${letter.id}`);
+    this.showSide(this.sources[side] ? side : 'front');
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.root.hidden = true;
+    this.setHighlight(null);
+    this.pointers.clear();
+    this.gesture = null;
+    window.removeEventListener('resize', this.onResize);
+    document.removeEventListener('keydown', this.onKeyDown);
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.notify();
+  }
+
+  /**
+   * Switch between the front and back scans
+   */
+  showSide(side) {
+    const source = this.sources[side];
+    if (!source) return;
+
+    this.side = side;
+    this.sideButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.side === side);
+      button.disabled = !this.sources[button.dataset.side];
+    });
+
+    // Untiled scans are drawn from the full image
+    if (!source.pyramid && !source.image) {
+      source.image = this.loadImage(source.url);
+    }
+
+    this.reset();
+  }
+
+  toggleSide() {
+    this.showSide(this.side === 'front' ? 'back' : 'front');
+  }
+
+  get source() {
+    return this.sources[this.side];
+  }
+
+  /**
+   * Scan size in pixels (unknown until an untiled scan has loaded)
+   */
+  getSize() {
+    const source = this.source;
+    if (source?.pyramid) {
+      return { width: source.pyramid.width, height: source.pyramid.height };
+    }
+    if (source?.image?.loaded) {
+      return { width: source.image.image.naturalWidth, height: source.image.image.naturalHeight };
+    }
+    return null;
+  }
+
+  /**
+   * Fit the whole scan on screen, upright
+   */
+  reset() {
+    this.rotation = 0;
+    // Applied on the next frame, once the scan size is known
+    this.needsFit = true;
+    this.requestRender();
+  }
+
+  fit() {
+    const size = this.getSize();
+
+    // The bounding box of the rotated scan has to fit
+    const cos = Math.abs(Math.cos(this.rotation));
+    const sin = Math.abs(Math.sin(this.rotation));
+    const width = size.width * cos + size.height * sin;
+    const height = size.width * sin + size.height * cos;
+
+    this.fitScale = Math.min(this.width / width, this.height / height) * VIEWER.FIT_MARGIN;
+    this.scale = this.fitScale;
+    this.center = { x: size.width / 2, y: size.height / 2 };
+  }
+
+  /**
+   * Outline a transcription line, or clear it
+   * @param {Object|null} line - { side, region, text } with region as fractions of the scan
+   */
+  setHighlight(line) {
+    if (line === this.highlight) return;
+    this.highlight = line;
+    this.transcription.textContent = line?.text ?? '';
+    this.requestRender();
+  }
+
+  rotateBy(angle) {
+    this.rotation += angle;
+    this.requestRender();
+  }
+
+  /**
+   * Zoom about a screen point (defaults to the middle of the screen)
+   */
+  zoomBy(factor, screenX = this.width / 2, screenY = this.height / 2) {
+    const anchor = this.screenToImage(screenX, screenY);
+    this.scale = this.clampScale(this.scale * factor);
+    this.anchor(anchor, screenX, screenY);
+    this.requestRender();
+  }
+
+  clampScale(scale) {
+    return Math.min(Math.max(scale, this.fitScale * VIEWER.MIN_ZOOM), Math.max(VIEWER.MAX_SCALE, this.fitScale));
+  }
+
+  screenToImage(x, y) {
+    const dx = (x - this.width / 2) / this.scale;
+    const dy = (y - this.height / 2) / this.scale;
+    const cos = Math.cos(-this.rotation);
+    const sin = Math.sin(-this.rotation);
+    return {
+      x: this.center.x + dx * cos - dy * sin,
+      y: this.center.y + dx * sin + dy * cos
+    };
+  }
+
+  /**
+   * Move the view so that a scan point sits under a screen point
+   */
+  anchor(point, x, y) {
+    const offset = this.screenToImage(x, y);
+    this.center.x += point.x - offset.x;
+    this.center.y += point.y - offset.y;
+    this.clampCenter();
+  }
+
+  // Keep some of the scan on screen
+  clampCenter() {
+    const size = this.getSize();
+    if (!size) return;
+    this.center.x = Math.min(Math.max(this.center.x, 0), size.width);
+    this.center.y = Math.min(Math.max(this.center.y, 0), size.height);
+  }
+
+  onResize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.root.clientWidth;
+    this.height = this.root.clientHeight;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+
+    // Keep the zoom relative to the new fitted size
+    if (!this.needsFit && this.getSize()) {
+      const zoom = this.scale / this.fitScale;
+      const center = { ...this.center };
+      this.fit();
+      this.scale = this.clampScale(this.fitScale * zoom);
+      this.center = center;
+    }
+    this.requestRender();
+  }
+
+  requestRender() {
+    if (this.isOpen && this.frame === null) {
+      this.frame = requestAnimationFrame(this.render);
+    }
+  }
+
+  render() {
+    this.frame = null;
+
+    const context = this.context;
+    const ratio = window.devicePixelRatio || 1;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const source = this.source;
+    const size = this.getSize();
+    if (!source || !size) {
+      this.updateStatus();
+      return;
+    }
+    if (this.needsFit) {
+      this.fit();
+      this.needsFit = false;
+    }
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.translate(this.width / 2, this.height / 2);
+    context.rotate(this.rotation);
+    context.scale(this.scale, this.scale);
+    context.translate(-this.center.x, -this.center.y);
+    context.imageSmoothingQuality = 'high';
+
+    if (source.pyramid) {
+      this.drawTiles(source.pyramid, ratio);
+    } else if (source.image.loaded) {
+      context.drawImage(source.image.image, 0, 0);
+    }
+
+    if (this.highlight?.side === this.side) {
+      this.drawHighlight(this.highlight.region, size);
+    }
+
+    this.updateStatus();
+  }
+
+  /**
+   * Draw every level from a single-tile overview up to the one the zoom
+   * needs. Finer tiles are drawn last and cover the coarser ones, so gaps
+   * that are still loading show a blurred version instead of nothing.
+   */
+  drawTiles(pyramid, ratio) {
+    const region = this.getVisibleRegion(pyramid);
+    const target = levelForScale(pyramid, this.scale * ratio);
+    const overview = Math.min(target, levelForScale(pyramid, pyramid.tileSize / Math.max(pyramid.width, pyramid.height)));
+
+    for (let level = overview; level <= target; level++) {
+      // Only the overview and the target level are requested
+      const request = level === overview || level === target;
+      getTiles(pyramid, level, region).forEach(tile => {
+        const entry = request ? this.getTile(tile.url) : this.peekTile(tile.url);
+        if (entry?.loaded) {
+          this.context.drawImage(entry.image, tile.x, tile.y, tile.width, tile.height);
+        }
+      });
+    }
+  }
+
+  /**
+   * Dim the scan around a region and outline it
+   */
+  drawHighlight(region, size) {
+    const context = this.context;
+    const [x, y, width, height] = [
+      region[0] * size.width,
+      region[1] * size.height,
+      region[2] * size.width,
+      region[3] * size.height
+    ];
+
+    context.beginPath();
+    context.rect(0, 0, size.width, size.height);
+    context.rect(x, y, width, height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    context.fill('evenodd');
+
+    context.lineWidth = 2 / this.scale;
+    context.strokeStyle = `#${HIGHLIGHT.COLOR.toString(16).padStart(6, '0')}`;
+    context.strokeRect(x, y, width, height);
+  }
+
+  /**
+   * Scan-pixel bounds of what is on screen (rotation included)
+   */
+  getVisibleRegion(pyramid) {
+    const corners = [
+      this.screenToImage(0, 0),
+      this.screenToImage(this.width, 0),
+      this.screenToImage(0, this.height),
+      this.screenToImage(this.width, this.height)
+    ];
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    return {
+      minX: Math.max(0, Math.min(...xs)),
+      maxX: Math.min(pyramid.width - 1, Math.max(...xs)),
+      minY: Math.max(0, Math.min(...ys)),
+      maxY: Math.min(pyramid.height - 1, Math.max(...ys))
+    };
+  }
+
+  loadImage(url) {
+    const entry = { image: new Image(), loaded: false, failed: false };
+    this.pending++;
+    entry.image.onload = () => {
+      entry.loaded = true;
+      this.pending--;
+      this.requestRender();
+    };
+    entry.image.onerror = () => {
+      entry.failed = true;
+      this.pending--;
+      console.warn(`Deep zoom: could not load ${url}`);
+      this.requestRender();
+    };
+    entry.image.src = url;
+    return entry;
+  }
+
+  /**
+   * Cached tile, loading it if needed. Recently used tiles move to the end
+   * of the cache; the oldest are dropped once it is full.
+   */
+  getTile(url) {
+    let entry = this.tiles.get(url);
+    if (entry) {
+      this.tiles.delete(url);
+    } else {
+      entry = this.loadImage(url);
+    }
+    this.tiles.set(url, entry);
+
+    while (this.tiles.size > VIEWER.TILE_CACHE_SIZE) {
+      this.tiles.delete(this.tiles.keys().next().value);
+    }
+    return entry;
+  }
+
+  peekTile(url) {
+    return this.tiles.get(url);
+  }
+
+  updateStatus() {
+    const image = this.source?.image;
+    this.status.dataset.state = image?.failed ? 'error' : (this.pending > 0 ? 'loading' : '');
+  }
+
+  onKeyDown(event) {
+    switch (event.code) {
+      case 'Escape':
+        this.close();
+        break;
+      case 'KeyF':
+        this.toggleSide();
+        break;
+      case 'KeyQ':
+        this.rotateBy(-VIEWER.ROTATE_STEP);
+        break;
+      case 'KeyE':
+        this.rotateBy(VIEWER.ROTATE_STEP);
+        break;
+      case 'Equal':
+      case 'NumpadAdd':
+        this.zoomBy(1.25);
+        break;
+      case 'Minus':
+      case 'NumpadSubtract':
+        this.zoomBy(0.8);
+        break;
+      case 'Digit0':
+        this.reset();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  onWheel(event) {
+    // Not a zoom for an inspected letter behind the viewer
+    event.preventDefault();
+    event.stopPropagation();
+    this.zoomBy(Math.exp(-event.deltaY * VIEWER.ZOOM_SPEED), event.offsetX, event.offsetY);
+  }
+
+  onDoubleClick(event) {
+    this.zoomBy(2, event.offsetX, event.offsetY);
+  }
+
+  onPointerDown(event) {
+    this.canvas.setPointerCapture(event.pointerId);
+    this.pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+    this.gesture = this.getGesture();
+  }
+
+  /**
+   * One pointer pans; two pan, pinch-zoom and twist together by keeping the
+   * scan point under their midpoint pinned to it.
+   */
+  onPointerMove(event) {
+    if (!this.pointers.has(event.pointerId)) return;
+    this.pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+
+    const previous = this.gesture;
+    const current = this.getGesture();
+    if (!previous || !current || previous.count !== current.count) {
+      this.gesture = current;
+      return;
+    }
+
+    const anchor = this.screenToImage(previous.x, previous.y);
+    if (current.count === 2) {
+      this.scale = this.clampScale(this.scale * current.distance / previous.distance);
+      this.rotation += current.angle - previous.angle;
+    }
+    this.anchor(anchor, current.x, current.y);
+
+    this.gesture = current;
+    this.requestRender();
+  }
+
+  onPointerUp(event) {
+    this.pointers.delete(event.pointerId);
+    this.gesture = this.getGesture();
+  }
+
+  getGesture() {
+    const points = [...this.pointers.values()].slice(0, 2);
+    if (points.length === 0) return null;
+    if (points.length === 1) {
+      return { count: 1, x: points[0].x, y: points[0].y };
+    }
+    const [a, b] = points;
+    return {
+      count: 2,
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+      angle: Math.atan2(b.y - a.y, b.x - a.x)
+    };
+  }
+
+  dispose() {
+    this.close();
+    this.canvas.removeEventListener('wheel', this.onWheel);
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.canvas.removeEventListener('pointermove', this.onPointerMove);
+    this.canvas.removeEventListener('pointerup', this.onPointerUp);
+    this.canvas.removeEventListener('pointercancel', this.onPointerUp);
+    this.canvas.removeEventListener('dblclick', this.onDoubleClick);
+    this.tiles.clear();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,315 @@
+import * as THREE from 'three';
+import { audioEngine } from '../audio/audioEngine.js';
+import { getLetterViewpoint } from '../renderer/letters.js';
+import { TOUR } from '../config/constants.js';
+import { ultraSmoothEase, dampVector3 } from '../utils/easing.js';
+import { loadCameraPath } from '../data/cameraPath.js';
+import tourPathData from '../data/paths/tour.json';
+
+const _forward = new THREE.Vector3();
+const _ahead = new THREE.Vector3();
+const _lookAt = new THREE.Vector3();
+
+/**
+ * GuidedTour - Walks the camera through the letters in curator order
+ *
+ * The order comes from a camera path (see src/data/cameraPath.js). Waypoints
+ * with a `letter` or a `dwell` are stops; the others shape the path between
+ * them. At a letter stop the camera settles in front of the letter and locks
+ * it as the active one in the ProximityManager (which plays its narration);
+ * the tour moves on once the narration ends. Any movement
+ * input hands control back to the visitor; resume() rejoins where they left.
+ *
+ * States: 'idle' | 'travelling' | 'narrating' | 'dwelling'
+ */
+export class GuidedTour {
+  constructor(camera, letters, proximityManager, pathData = tourPathData) {
+    this.camera = camera;
+    this.proximityManager = proximityManager;
+
+    const path = loadCameraPath(pathData);
+    this.name = path.name;
+    this.loop = path.loop;
+
+    // Group waypoints into stops, each with the points leading up to it
+    const byId = new Map(letters.map(letter => [letter.userData.id, letter]));
+    const toVector = (array) => (array ? new THREE.Vector3().fromArray(array) : null);
+    const defaultLookAt = toVector(path.lookAt);
+    this.stops = [];
+    let via = [];
+
+    path.waypoints.forEach((waypoint, i) => {
+      const letter = waypoint.letter !== null ? byId.get(waypoint.letter) : null;
+      if (letter === undefined) {
+        console.warn(`Tour waypoint #${i}: letter ${waypoint.letter} is not loaded, skipping the stop`);
+      }
+
+      // Plain points (and stops that cannot be reached) only shape the path
+      if (!letter && (waypoint.dwell === null || !waypoint.position)) {
+        if (waypoint.position) via.push(toVector(waypoint.position));
+        return;
+      }
+
+      this.stops.push({
+        letter: letter || null,
+        position: toVector(waypoint.position),
+        lookAt: toVector(waypoint.lookAt) || (letter ? null : defaultLookAt),
+        dwell: waypoint.dwell,
+        via
+      });
+      via = [];
+    });
+
+    // Points after the last stop lead back to the first one
+    if (this.loop && this.stops.length > 0) {
+      this.stops[0].via = [...via, ...this.stops[0].via];
+    }
+
+    this.state = 'idle';
+    this.started = false; // Started and not finished, so resume() rejoins
+    this.index = 0;
+    this.visited = false; // Whether the stop at `index` has been seen
+    this.path = null;
+    this.travelTime = 0;
+    this.elapsed = 0;
+    this.dwellRemaining = 0;
+    this.idleTime = 0;
+    this.lookTarget = new THREE.Vector3();
+    this.listeners = new Set();
+
+    this.unsubscribeNarration = audioEngine.onNarrationEnd(letterId => this.handleNarrationEnd(letterId));
+  }
+
+  get isRunning() {
+    return this.state !== 'idle';
+  }
+
+  get currentStop() {
+    return this.stops[this.index] || null;
+  }
+
+  /**
+   * Subscribe to state changes (e.g. to update the HUD)
+   * @param {function(GuidedTour)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Start the tour from a stop, travelling there from wherever the camera is
+   */
+  start(index = 0) {
+    if (this.stops.length === 0) {
+      console.warn('Guided tour has no stops');
+      return;
+    }
+    this.started = true;
+    this.index = index;
+    this.visited = false;
+    console.log(`Guided tour "${this.name}" started at stop ${index + 1}/${this.stops.length}`);
+    this.travelTo(index, false);
+  }
+
+  /**
+   * Hand control back to the visitor, keeping the tour position
+   */
+  stop() {
+    if (!this.isRunning) return;
+    this.visited = this.state === 'dwelling';
+    this.idleTime = 0;
+    this.proximityManager.unlock();
+    this.setState('idle');
+    console.log('Guided tour paused, free roam');
+  }
+
+  /**
+   * Rejoin the tour at the stop where the visitor left it
+   */
+  resume() {
+    if (this.isRunning) return;
+    if (!this.started) {
+      this.start();
+      return;
+    }
+    console.log('Rejoining guided tour');
+    if (this.visited) {
+      this.next(false);
+    } else {
+      this.travelTo(this.index, false);
+    }
+  }
+
+  toggle() {
+    if (this.isRunning) {
+      this.stop();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Report visitor movement input: breaks out of a running tour and resets
+   * the idle timer for automatic rejoining.
+   */
+  interrupt() {
+    this.idleTime = 0;
+    if (this.isRunning) {
+      this.stop();
+    }
+  }
+
+  /**
+   * @param {number} index - Stop index
+   * @param {boolean} fromPreviousStop - Use the stop's `via` points (authored for the leg from the previous stop)
+   */
+  travelTo(index, fromPreviousStop) {
+    const stop = this.stops[index];
+    const points = [
+      this.camera.position.clone(),
+      ...(fromPreviousStop ? stop.via : []),
+      stop.position ? stop.position.clone() : getLetterViewpoint(stop.letter, TOUR.VIEW_DISTANCE)
+    ];
+
+    this.path = new THREE.CatmullRomCurve3(points, false, 'centripetal');
+    const length = this.path.getLength();
+    this.travelTime = Math.max(TOUR.MIN_TRAVEL_TIME, length / TOUR.TRAVEL_SPEED);
+    this.elapsed = 0;
+
+    // Start looking where the camera already looks
+    this.camera.getWorldDirection(_forward);
+    this.lookTarget.copy(this.camera.position).addScaledVector(_forward, TOUR.VIEW_DISTANCE);
+
+    // No narrations from letters passed on the way
+    this.proximityManager.lock(null);
+
+    if (length < 0.01) {
+      this.arrive();
+      return;
+    }
+    this.setState('travelling');
+  }
+
+  arrive() {
+    const stop = this.stops[this.index];
+
+    // The ProximityManager activates the letter and plays its narration. A
+    // letter that is still active (rejoining where the visitor left) is
+    // activated afresh, or its narration would not play again
+    if (stop.letter && this.proximityManager.activeLetter === stop.letter) {
+      this.proximityManager.setActiveLetter(null);
+    }
+    this.proximityManager.lock(stop.letter);
+    this.visited = false;
+
+    if (stop.letter && audioEngine.hasNarration(stop.letter.userData.id)) {
+      this.setState('narrating');
+    } else {
+      this.dwellRemaining = stop.dwell ?? TOUR.FALLBACK_DWELL;
+      this.setState('dwelling');
+    }
+  }
+
+  /**
+   * Where the camera should look at a stop (null keeps the current view)
+   */
+  getStopLookAt(stop) {
+    return stop.lookAt || (stop.letter ? stop.letter.position : null);
+  }
+
+  handleNarrationEnd(letterId) {
+    if (this.state !== 'narrating' || this.currentStop.letter?.userData.id !== letterId) return;
+    this.dwellRemaining = this.currentStop.dwell ?? TOUR.DWELL_AFTER_NARRATION;
+    this.setState('dwelling');
+  }
+
+  next(fromPreviousStop = true) {
+    let index = this.index + 1;
+    if (index >= this.stops.length) {
+      if (!this.loop) {
+        console.log('Guided tour finished');
+        this.started = false;
+        this.proximityManager.unlock();
+        this.setState('idle');
+        return;
+      }
+      index = 0;
+    }
+    this.index = index;
+    this.visited = false;
+    this.travelTo(index, fromPreviousStop);
+  }
+
+  /**
+   * Advance the tour. Only call while the experience is running, so pausing
+   * freezes travel, dwell and idle timers.
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    delta = Math.min(delta, 0.1);
+
+    if (!this.isRunning) {
+      if (this.started && TOUR.IDLE_REJOIN > 0) {
+        this.idleTime += delta;
+        if (this.idleTime >= TOUR.IDLE_REJOIN) {
+          this.resume();
+        }
+      }
+      return;
+    }
+
+    const lookAt = this.getStopLookAt(this.currentStop);
+
+    if (this.state === 'travelling') {
+      this.elapsed += delta;
+      const t = Math.min(this.elapsed / this.travelTime, 1);
+      const eased = ultraSmoothEase(t);
+      this.path.getPointAt(eased, this.camera.position);
+
+      // Look along the path at first, turning towards the stop's target on approach
+      this.path.getTangentAt(eased, _forward);
+      _forward.y = 0;
+      if (_forward.lengthSq() > 0) _forward.normalize();
+      _ahead.copy(this.camera.position).addScaledVector(_forward, TOUR.VIEW_DISTANCE);
+      if (lookAt) {
+        _lookAt.lerpVectors(_ahead, lookAt, eased);
+      } else {
+        _lookAt.copy(_ahead);
+      }
+
+      dampVector3(this.lookTarget, _lookAt, TOUR.LOOK_SMOOTHING, delta);
+      this.camera.lookAt(this.lookTarget);
+
+      if (t >= 1) {
+        this.arrive();
+      }
+      return;
+    }
+
+    // At a stop: keep the (gently swaying) letter in view
+    if (lookAt) {
+      dampVector3(this.lookTarget, lookAt, TOUR.LOOK_SMOOTHING, delta);
+      this.camera.lookAt(this.lookTarget);
+    }
+
+    if (this.state === 'dwelling') {
+      this.dwellRemaining -= delta;
+      if (this.dwellRemaining <= 0) {
+        this.next();
+      }
+    }
+  }
+
+  dispose() {
+    this.unsubscribeNarration();
+    this.listeners.clear();
+    this.proximityManager.unlock();
+  }
+}
@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { INSPECT, MODEL } from '../config/constants.js';
+import { ultraSmoothEase, damp } from '../utils/easing.js';
+
+const _forward = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _holdPosition = new THREE.Vector3();
+const _holdQuaternion = new THREE.Quaternion();
+const _pitchQuaternion = new THREE.Quaternion();
+const _xAxis = new THREE.Vector3(1, 0, 0);
+const _yAxis = new THREE.Vector3(0, 1, 0);
+
+/**
+ * InspectMode - Brings a letter up to the camera to read it closely
+ *
+ * The letter flies from its place in the grid to a point in front of the
+ * camera, sized to fill most of the view. There it can be orbited (mouse
+ * under pointer lock, or one-finger drag), zoomed (wheel or pinch) and
+ * flipped to the other side. exit() flies it back to its rest position.
+ *
+ * States: 'idle' | 'entering' | 'inspecting' | 'leaving'
+ */
+export class InspectMode {
+  constructor(camera, renderer) {
+    this.camera = camera;
+    this.renderer = renderer;
+    this.domElement = renderer.domElement;
+
+    this.letter = null;
+    this.state = 'idle';
+    this.progress = 0;
+    this.fitDistance = 1;
+
+    // Orbit and zoom: targets follow input, current values are smoothed
+    this.yaw = 0;
+    this.pitch = 0;
+    this.zoom = 1;
+    this.targetYaw = 0;
+    this.targetPitch = 0;
+    this.targetZoom = 1;
+
+    this.fromPosition = new THREE.Vector3();
+    this.fromQuaternion = new THREE.Quaternion();
+    this.restQuaternion = new THREE.Quaternion();
+    this.holdPoint = new THREE.Vector3();
+    this.baseYaw = 0;
+    this.textures = new Map(); // texture -> original anisotropy
+    this.listeners = new Set();
+
+    this.touches = new Map(); // pointer id -> { x, y }
+    this.pinchDistance = null;
+
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onTouchEnd = this.onTouchEnd.bind(this);
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('wheel', this.onWheel, { passive: true });
+    this.domElement.addEventListener('touchstart', this.onTouchStart, { passive: false });
+    this.domElement.addEventListener('touchmove', this.onTouchMove, { passive: false });
+    this.domElement.addEventListener('touchend', this.onTouchEnd);
+    this.domElement.addEventListener('touchcancel', this.onTouchEnd);
+  }
+
+  get isActive() {
+    return this.letter !== null;
+  }
+
+  /**
+   * Whether orbit/zoom input is accepted (not while flying back)
+   */
+  get isInteractive() {
+    return this.state === 'entering' || this.state === 'inspecting';
+  }
+
+  /**
+   * Subscribe to state changes (e.g. to update the HUD)
+   * @param {function(InspectMode)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Start inspecting a letter
+   * @param {THREE.Object3D} letter - Letter model from loadLetters
+   */
+  enter(letter) {
+    if (this.isActive || !letter) return;
+
+    this.letter = letter;
+    this.progress = 0;
+    this.yaw = this.targetYaw = 0;
+    this.pitch = this.targetPitch = 0;
+    this.zoom = this.targetZoom = 1;
+
+    this.fromPosition.copy(letter.position);
+    this.fromQuaternion.copy(letter.quaternion);
+    this.restQuaternion.copy(letter.quaternion);
+
+    // Hold point straight ahead, far enough for the whole letter to fit the view
+    this.fitDistance = this.computeFitDistance(letter);
+    this.camera.getWorldDirection(_forward);
+    this.holdPoint.copy(this.camera.position).addScaledVector(_forward, this.fitDistance);
+    // Turn the front (local +Z) towards the camera
+    this.baseYaw = Math.atan2(
+      this.camera.position.x - this.holdPoint.x,
+      this.camera.position.z - this.holdPoint.z
+    );
+
+    this.sharpenTextures(letter);
+
+    console.log(`Inspecting letter ${letter.userData.id}`);
+    this.setState('entering');
+  }
+
+  /**
+   * Send the letter back to its place in the grid
+   */
+  exit() {
+    if (!this.isActive || this.state === 'leaving') return;
+
+    this.fromPosition.copy(this.letter.position);
+    this.fromQuaternion.copy(this.letter.quaternion);
+    this.progress = 0;
+    this.setState('leaving');
+  }
+
+  toggle(letter) {
+    if (this.isActive) {
+      this.exit();
+    } else {
+      this.enter(letter);
+    }
+  }
+
+  /**
+   * Turn the letter round to read the other side
+   */
+  flip() {
+    if (!this.isInteractive) return;
+    this.targetYaw += Math.PI;
+  }
+
+  rotate(deltaX, deltaY) {
+    if (!this.isInteractive) return;
+    this.targetYaw += deltaX * INSPECT.ROTATE_SPEED;
+    this.targetPitch = THREE.MathUtils.clamp(
+      this.targetPitch + deltaY * INSPECT.ROTATE_SPEED,
+      -INSPECT.MAX_PITCH,
+      INSPECT.MAX_PITCH
+    );
+  }
+
+  zoomBy(amount) {
+    if (!this.isInteractive) return;
+    this.targetZoom = THREE.MathUtils.clamp(
+      this.targetZoom * (1 + amount * INSPECT.ZOOM_SPEED),
+      INSPECT.MIN_ZOOM,
+      INSPECT.MAX_ZOOM
+    );
+  }
+
+  computeFitDistance(letter) {
+    const bounds = letter.userData.bounds;
+    const scale = letter.scale.x;
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+
+    const width = bounds && !bounds.isEmpty() ? (bounds.max.x - bounds.min.x) * scale : 2;
+    const height = bounds && !bounds.isEmpty() ? (bounds.max.y - bounds.min.y) * scale : 2;
+    const depth = bounds && !bounds.isEmpty() ? (bounds.max.z - bounds.min.z) * scale : 0;
+
+    const size = Math.max(height, width / this.camera.aspect);
+    return size / (2 * Math.tan(halfFov)) / INSPECT.FILL + depth / 2;
+  }
+
+  /**
+   * Use full anisotropic filtering on the letter's textures while it is held,
+   * so text stays sharp at grazing angles.
+   */
+  sharpenTextures(letter) {
+    const maxAnisotropy = this.renderer.capabilities.getMaxAnisotropy();
+    letter.traverse(child => {
+      const map = child.isMesh && child.material?.map;
+      if (!map || this.textures.has(map)) return;
+      this.textures.set(map, map.anisotropy);
+      map.anisotropy = maxAnisotropy;
+      map.needsUpdate = true;
+    });
+  }
+
+  restoreTextures() {
+    this.textures.forEach((anisotropy, map) => {
+      map.anisotropy = anisotropy;
+      map.needsUpdate = true;
+    });
+    this.textures.clear();
+  }
+
+  /**
+   * Pose of the letter while held: centred on the hold point (pulled in or
+   * pushed out by the zoom) and turned by the orbit angles.
+   */
+  getHoldPose(position, quaternion) {
+    const letter = this.letter;
+
+    quaternion.setFromAxisAngle(_yAxis, this.baseYaw + this.yaw);
+    _pitchQuaternion.setFromAxisAngle(_xAxis, this.pitch);
+    quaternion.multiply(_pitchQuaternion);
+
+    const distance = this.fitDistance / this.zoom;
+    this.camera.getWorldDirection(_forward);
+    position.copy(this.camera.position).addScaledVector(_forward, distance);
+
+    // The model's origin is not its centre
+    const bounds = letter.userData.bounds;
+    if (bounds && !bounds.isEmpty()) {
+      bounds.getCenter(_center).multiplyScalar(letter.scale.x).applyQuaternion(quaternion);
+      position.sub(_center);
+    }
+  }
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (!this.isActive) return;
+
+    delta = Math.min(delta, 0.1);
+    this.yaw = damp(this.yaw, this.targetYaw, INSPECT.SMOOTHING, delta);
+    this.pitch = damp(this.pitch, this.targetPitch, INSPECT.SMOOTHING, delta);
+    this.zoom = damp(this.zoom, this.targetZoom, INSPECT.SMOOTHING, delta);
+
+    const letter = this.letter;
+
+    if (this.state === 'inspecting') {
+      this.getHoldPose(letter.position, letter.quaternion);
+      return;
+    }
+
+    this.progress = Math.min(this.progress + delta / INSPECT.TRANSITION_DURATION, 1);
+    const t = ultraSmoothEase(this.progress);
+
+    if (this.state === 'entering') {
+      this.getHoldPose(_holdPosition, _holdQuaternion);
+      letter.position.lerpVectors(this.fromPosition, _holdPosition, t);
+      letter.quaternion.slerpQuaternions(this.fromQuaternion, _holdQuaternion, t);
+      if (this.progress >= 1) {
+        this.setState('inspecting');
+      }
+      return;
+    }
+
+    // Leaving: back to the rest position from letters.json
+    const rest = letter.userData.position;
+    _holdPosition.set(rest.x * MODEL.GRID_SCALE, rest.y, rest.z * MODEL.GRID_SCALE);
+    letter.position.lerpVectors(this.fromPosition, _holdPosition, t);
+    letter.quaternion.slerpQuaternions(this.fromQuaternion, this.restQuaternion, t);
+    if (this.progress >= 1) {
+      this.finish();
+    }
+  }
+
+  finish() {
+    this.restoreTextures();
+
+    console.log(`Finished inspecting letter ${this.letter.userData.id}`);
+    this.letter = null;
+    this.touches.clear();
+    this.pinchDistance = null;
+    this.setState('idle');
+  }
+
+  onMouseMove(event) {
+    // Desktop: the pointer is locked, so every movement orbits the letter
+    if (!this.isActive || !document.pointerLockElement) return;
+    this.rotate(event.movementX, event.movementY);
+  }
+
+  onWheel(event) {
+    if (!this.isActive) return;
+    this.zoomBy(-event.deltaY);
+  }
+
+  onTouchStart(event) {
+    if (!this.isActive) return;
+    event.preventDefault();
+    for (const touch of event.changedTouches) {
+      this.touches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+    }
+    this.pinchDistance = this.getPinchDistance();
+  }
+
+  onTouchMove(event) {
+    if (!this.isActive) return;
+    event.preventDefault();
+
+    if (this.touches.size === 1) {
+      // One finger: orbit
+      const touch = event.changedTouches[0];
+      const last = this.touches.get(touch.identifier);
+      if (last) {
+        this.rotate(touch.clientX - last.x, touch.clientY - last.y);
+      }
+    }
+
+    for (const touch of event.changedTouches) {
+      if (this.touches.has(touch.identifier)) {
+        this.touches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+      }
+    }
+
+    // Two fingers: pinch to zoom
+    const distance = this.getPinchDistance();
+    if (distance !== null && this.pinchDistance !== null) {
+      this.zoomBy((distance - this.pinchDistance) * 2);
+    }
+    this.pinchDistance = distance;
+  }
+
+  onTouchEnd(event) {
+    for (const touch of event.changedTouches) {
+      this.touches.delete(touch.identifier);
+    }
+    this.pinchDistance = this.getPinchDistance();
+  }
+
+  getPinchDistance() {
+    if (this.touches.size !== 2) return null;
+    const [a, b] = [...this.touches.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  dispose() {
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('wheel', this.onWheel);
+    this.domElement.removeEventListener('touchstart', this.onTouchStart);
+    this.domElement.removeEventListener('touchmove', this.onTouchMove);
+    this.domElement.removeEventListener('touchend', this.onTouchEnd);
+    this.domElement.removeEventListener('touchcancel', this.onTouchEnd);
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,61 @@
+import { resolveLocalized, pickLanguage, getLanguage, isRTL } from '../utils/i18n.js';
+
+/**
+ * IntroCards - Shows the timed text cards of the playing intro chapter
+ *
+ * Cards are rendered only when the set of visible cards (or the language)
+ * changes; fading is left to CSS.
+ */
+export class IntroCards {
+  constructor() {
+    this.container = null;
+    this.renderedKey = null;
+  }
+
+  attach(container) {
+    this.container = container;
+  }
+
+  /**
+   * @param {Array<Object>} cards - The chapter's cards ({ text, at, duration })
+   * @param {number} time - Seconds since the chapter started
+   */
+  update(cards, time) {
+    const active = cards.filter(card => time >= card.at && time < card.at + card.duration);
+    if (active.length === 0) {
+      this.clear();
+      return;
+    }
+
+    const key = `${getLanguage()}:${active.map(card => cards.indexOf(card)).join(',')}`;
+    this.render(key, active);
+  }
+
+  render(key, cards) {
+    if (key === this.renderedKey || !this.container) return;
+    this.renderedKey = key;
+
+    this.container.innerHTML = '';
+    cards.forEach(card => {
+      const language = pickLanguage(card.text);
+      const element = document.createElement('div');
+      element.className = 'intro-card';
+      if (language) {
+        element.lang = language;
+        element.dir = isRTL(language) ? 'rtl' : 'ltr';
+      }
+      element.textContent = resolveLocalized(card.text);
+      this.container.appendChild(element);
+    });
+  }
+
+  clear() {
+    if (this.renderedKey === null) return;
+    this.renderedKey = null;
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+}
+
+export const introCards = new IntroCards();
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { MINIMAP, MODEL } from '../config/constants.js';
+
+const _forward = new THREE.Vector3();
+
+/**
+ * Minimap - Floor plan of the letter grid drawn on a 2D canvas
+ *
+ * Shows every letter at its rest position (letters.json x/z times
+ * MODEL.GRID_SCALE, as laid out by loadLetters), visited letters filled in,
+ * the active letter ringed, and the visitor as an arrow pointing along the
+ * view direction. North (-Z) is up. letterAt() finds the dot under a point,
+ * so the map can be used to pick a letter.
+ */
+export class Minimap {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Array<THREE.Object3D>} letters - Letter models from loadLetters
+   * @param {VisitTracker} visits
+   * @param {Object} [options]
+   * @param {number} [options.dotRadius] - Letter dot radius in CSS pixels
+   */
+  constructor(canvas, letters, visits, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.visits = visits;
+    this.dotRadius = options.dotRadius ?? MINIMAP.DOT_RADIUS;
+    this.hovered = null;
+
+    this.letters = letters.map(letter => ({
+      id: letter.userData.id,
+      x: letter.userData.position.x * MODEL.GRID_SCALE,
+      z: letter.userData.position.z * MODEL.GRID_SCALE
+    }));
+
+    // World extent of the grid, padded so the visitor can be shown just outside it
+    const xs = this.letters.map(letter => letter.x);
+    const zs = this.letters.map(letter => letter.z);
+    const margin = MINIMAP.MARGIN;
+    this.bounds = this.letters.length > 0
+      ? { minX: Math.min(...xs) - margin, maxX: Math.max(...xs) + margin, minZ: Math.min(...zs) - margin, maxZ: Math.max(...zs) + margin }
+      : { minX: -margin, maxX: margin, minZ: -margin, maxZ: margin };
+
+    this.width = 0;
+    this.height = 0;
+  }
+
+  // Match the canvas resolution to its displayed size
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    if (width === this.width && height === this.height) return;
+
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+
+    const spanX = this.bounds.maxX - this.bounds.minX;
+    const spanZ = this.bounds.maxZ - this.bounds.minZ;
+    this.scale = Math.min(width / spanX, height / spanZ);
+    this.offsetX = (width - spanX * this.scale) / 2;
+    this.offsetY = (height - spanZ * this.scale) / 2;
+  }
+
+  toMap(x, z) {
+    return {
+      x: this.offsetX + (x - this.bounds.minX) * this.scale,
+      y: this.offsetY + (z - this.bounds.minZ) * this.scale
+    };
+  }
+
+  /**
+   * Letter id under a point in CSS pixels relative to the canvas, or null
+   */
+  letterAt(x, y) {
+    const reach = Math.max(this.dotRadius * 2, MINIMAP.MIN_HIT_RADIUS);
+    let closest = null;
+    let closestDistance = reach;
+    this.letters.forEach(letter => {
+      const point = this.toMap(letter.x, letter.z);
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance < closestDistance) {
+        closest = letter.id;
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }
+
+  /**
+   * @param {THREE.Camera} camera - The visitor
+   * @param {number|null} activeLetterId - Letter ringed as active
+   */
+  draw(camera, activeLetterId = null) {
+    this.resize();
+    if (this.width === 0) return;
+
+    const context = this.context;
+    const ratio = window.devicePixelRatio || 1;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, this.width, this.height);
+
+    this.letters.forEach(letter => {
+      const { x, y } = this.toMap(letter.x, letter.z);
+      const visited = this.visits.isVisited(letter.id);
+      const radius = letter.id === this.hovered ? this.dotRadius * 1.5 : this.dotRadius;
+
+      context.beginPath();
+      context.arc(x, y, radius, 0, Math.PI * 2);
+      if (visited) {
+        context.fillStyle = MINIMAP.VISITED_COLOR;
+        context.fill();
+      } else {
+        context.lineWidth = 1;
+        context.strokeStyle = MINIMAP.UNVISITED_COLOR;
+        context.stroke();
+      }
+
+      if (letter.id === activeLetterId) {
+        context.beginPath();
+        context.arc(x, y, radius + 3, 0, Math.PI * 2);
+        context.lineWidth = 1.5;
+        context.strokeStyle = MINIMAP.ACTIVE_COLOR;
+        context.stroke();
+      }
+
+      if (letter.id === this.hovered) {
+        context.fillStyle = MINIMAP.LABEL_COLOR;
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        context.fillText(String(letter.id), x, y - radius - 5);
+      }
+    });
+
+    // The visitor: an arrow along the view direction
+    camera.getWorldDirection(_forward);
+    const heading = Math.atan2(_forward.x, -_forward.z);
+    const { x, y } = this.toMap(camera.position.x, camera.position.z);
+    const size = this.dotRadius * 2.5;
+
+    context.save();
+    context.translate(x, y);
+    context.rotate(heading);
+    context.beginPath();
+    context.moveTo(0, -size);
+    context.lineTo(size * 0.6, size * 0.6);
+    context.lineTo(0, size * 0.2);
+    context.lineTo(-size * 0.6, size * 0.6);
+    context.closePath();
+    context.fillStyle = MINIMAP.PLAYER_COLOR;
+    context.fill();
+    context.restore();
+  }
+}
+
+/**
+ * MapPanel - Enlarged floor plan in an overlay, where a letter can be picked
+ *
+ * Hovering a dot shows the letter id; clicking (or tapping) it reports the
+ * letter through onSelect and closes the panel. M or Escape closes it.
+ */
+export class MapPanel {
+  constructor(root, letters, visits) {
+    this.root = root;
+    this.canvas = root.querySelector('canvas');
+    this.map = new Minimap(this.canvas, letters, visits, { dotRadius: MINIMAP.PANEL_DOT_RADIUS });
+
+    this.isOpen = false;
+    this.changeListeners = new Set();
+    this.selectListeners = new Set();
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    this.canvas.addEventListener('pointermove', (event) => {
+      this.map.hovered = this.map.letterAt(event.offsetX, event.offsetY);
+      this.canvas.style.cursor = this.map.hovered !== null ? 'pointer' : '';
+    });
+    this.canvas.addEventListener('pointerleave', () => {
+      this.map.hovered = null;
+    });
+    this.canvas.addEventListener('click', (event) => {
+      const letterId = this.map.letterAt(event.offsetX, event.offsetY);
+      if (letterId !== null) this.select(letterId);
+    });
+    // Clicking the backdrop closes the panel
+    root.addEventListener('click', (event) => {
+      if (event.target === root) this.close();
+    });
+    root.querySelector('#map-close-btn').addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Subscribe to open/close
+   * @param {function(MapPanel)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to picked letters
+   * @param {function(number)} listener - Receives the letter id
+   * @returns {function} Unsubscribe function
+   */
+  onSelect(listener) {
+    this.selectListeners.add(listener);
+    return () => this.selectListeners.delete(listener);
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.root.hidden = false;
+    document.addEventListener('keydown', this.onKeyDown);
+    this.changeListeners.forEach(listener => listener(this));
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.root.hidden = true;
+    this.map.hovered = null;
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.changeListeners.forEach(listener => listener(this));
+  }
+
+  select(letterId) {
+    this.close();
+    this.selectListeners.forEach(listener => listener(letterId));
+  }
+
+  draw(camera, activeLetterId) {
+    if (this.isOpen) this.map.draw(camera, activeLetterId);
+  }
+
+  onKeyDown(event) {
+    if (event.code === 'Escape' || event.code === 'KeyM') {
+      event.preventDefault();
+      this.close();
+    }
+  }
+}
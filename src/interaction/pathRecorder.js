@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { RECORDER } from '../config/constants.js';
+import { serializeCameraPath } from '../data/cameraPath.js';
+
+const _forward = new THREE.Vector3();
+const _lookAt = new THREE.Vector3();
+
+const round = (value) => Number(value.toFixed(RECORDER.PRECISION));
+const toArray = (vector) => vector.toArray().map(round);
+
+/**
+ * PathRecorder - Captures camera poses as waypoints in the camera path format
+ *
+ * Each capture stores the camera position and a look-at target along the
+ * view direction. Captures made next to a letter (the ProximityManager's
+ * active letter) are tagged with its id, so they become tour stops.
+ */
+export class PathRecorder {
+  constructor(object, proximityManager = null) {
+    this.object = object; // Camera object, e.g. controls.getObject()
+    this.proximityManager = proximityManager;
+    this.enabled = false;
+    this.waypoints = [];
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log(`Path recorder ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Record the current camera pose
+   * @param {Object} [options]
+   * @param {number} [options.dwell] - Seconds to pause at this waypoint (0 = pass through)
+   * @returns {Object} The recorded waypoint
+   */
+  capture({ dwell = 0 } = {}) {
+    this.object.getWorldDirection(_forward);
+    _lookAt.copy(this.object.position).addScaledVector(_forward, RECORDER.LOOK_DISTANCE);
+
+    const waypoint = {
+      position: toArray(this.object.position),
+      lookAt: toArray(_lookAt)
+    };
+    if (dwell > 0) {
+      waypoint.dwell = dwell;
+    }
+    const letter = this.proximityManager?.activeLetter;
+    if (letter) {
+      waypoint.letter = letter.userData.id;
+    }
+
+    this.waypoints.push(waypoint);
+    console.log(`Recorded waypoint #${this.waypoints.length - 1}:`, waypoint);
+    return waypoint;
+  }
+
+  undo() {
+    this.waypoints.pop();
+  }
+
+  clear() {
+    this.waypoints = [];
+  }
+
+  toJSON(name = 'Recorded path') {
+    return serializeCameraPath({ name, waypoints: this.waypoints });
+  }
+
+  /**
+   * Download the recording as a .json file (also logged to the console)
+   */
+  download(name = 'Recorded path') {
+    if (this.waypoints.length === 0) {
+      console.warn('Path recorder: nothing to export');
+      return;
+    }
+
+    const json = this.toJSON(name);
+    console.log(json);
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
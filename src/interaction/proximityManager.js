@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { audioEngine } from '../audio/audioEngine.js';
-import { INTERACTION } from '../config/constants.js';
+import { INTERACTION, SOUNDSCAPE } from '../config/constants.js';
+
+const _forward = new THREE.Vector3();
+const _toLetter = new THREE.Vector3();
 
 export class ProximityManager {
   constructor(camera, letters) {
@@ -9,6 +12,56 @@ export class ProximityManager {
     this.threshold = INTERACTION.PROXIMITY_THRESHOLD;
     this.activeLetter = null;
     this.checkRadius = INTERACTION.CHECK_RADIUS;
+    // Soundscape weight per letter within checkRadius (letter id -> 0..1)
+    this.ambientWeights = new Map();
+    // When set (via lock), this letter (or none, if null) is active regardless of distance
+    this.lockedLetter = undefined;
+  }
+
+  /**
+   * Pin the active letter, e.g. while a guided tour drives the camera.
+   * @param {THREE.Object3D|null} letter - Letter to activate, or null for none
+   */
+  lock(letter) {
+    this.lockedLetter = letter;
+  }
+
+  unlock() {
+    this.lockedLetter = undefined;
+  }
+
+  get isLocked() {
+    return this.lockedLetter !== undefined;
+  }
+
+  /**
+   * Switch the active letter, deactivating the previous one
+   */
+  setActiveLetter(letter) {
+    if (this.activeLetter === letter) return;
+    if (this.activeLetter) {
+      this.deactivateLetter(this.activeLetter);
+    }
+    this.activeLetter = letter;
+    if (letter) {
+      this.activateLetter(letter);
+    }
+  }
+
+  /**
+   * Ambient weight of a letter: falls off with distance and is lower for
+   * letters outside the view direction.
+   */
+  computeAmbientWeight(letter, distSq) {
+    const distance = Math.sqrt(distSq);
+    const distanceWeight = Math.pow(1 - Math.min(distance / this.checkRadius, 1), 2);
+
+    _toLetter.subVectors(letter.position, this.camera.position);
+    _toLetter.y = 0;
+    const facing = _toLetter.lengthSq() > 0 ? _forward.dot(_toLetter.normalize()) : 1;
+    const viewWeight = SOUNDSCAPE.MIN_VIEW_WEIGHT + (1 - SOUNDSCAPE.MIN_VIEW_WEIGHT) * (facing + 1) / 2;
+
+    return distanceWeight * viewWeight;
   }
 
   update() {
@@ -17,12 +70,19 @@ export class ProximityManager {
     const checkRadiusSq = this.checkRadius * this.checkRadius;
     const thresholdSq = this.threshold * this.threshold;
 
+    this.ambientWeights.clear();
+    this.camera.getWorldDirection(_forward);
+    _forward.y = 0;
+    _forward.normalize();
+
     // Optimization: Only check letters within a reasonable radius
     this.letters.forEach(letter => {
       const distSq = this.camera.position.distanceToSquared(letter.position);
       
       // Skip letters too far away to save CPU
       if (distSq > checkRadiusSq) return;
+
+      this.ambientWeights.set(letter.userData.id, this.computeAmbientWeight(letter, distSq));
       
       if (distSq < closestDistSq) {
         closestDistSq = distSq;
@@ -30,6 +90,11 @@ export class ProximityManager {
       }
     });
 
+    if (this.isLocked) {
+      this.setActiveLetter(this.lockedLetter);
+      return this.activeLetter ? this.activeLetter.userData.id : null;
+    }
+
     if (closestDistSq < thresholdSq) {
       if (this.activeLetter !== closestLetter) {
         // If we were already active on another letter, deactivate it first
@@ -62,8 +127,8 @@ export class ProximityManager {
   }
 
   activateLetter(letter) {
-    // 1. Audio
-    audioEngine.playNarration(letter.userData.id);
+    // 1. Audio (spatialised at the letter)
+    audioEngine.playNarration(letter.userData.id, letter);
 
     // 2. Visual Feedback (Highlight)
     letter.traverse((child) => {
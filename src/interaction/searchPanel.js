@@ -0,0 +1,153 @@
+import { t } from '../utils/i18n.js';
+
+/**
+ * SearchPanel - Search box and result list over the letter search index
+ *
+ * Results update as the visitor types. Arrow keys move the selection, Enter
+ * or a click picks a result (reported through onSelect) and Escape closes
+ * the panel.
+ */
+export class SearchPanel {
+  constructor(root, index) {
+    this.root = root;
+    this.index = index;
+    this.input = root.querySelector('#search-input');
+    this.list = root.querySelector('#search-results');
+    this.empty = root.querySelector('#search-empty');
+
+    this.isOpen = false;
+    this.results = [];
+    this.selected = 0;
+    this.changeListeners = new Set();
+    this.selectListeners = new Set();
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+    // Clicking the backdrop closes the panel
+    root.addEventListener('click', (event) => {
+      if (event.target === root) this.close();
+    });
+  }
+
+  /**
+   * Subscribe to open/close
+   * @param {function(SearchPanel)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to picked results
+   * @param {function(number)} listener - Receives the letter id
+   * @returns {function} Unsubscribe function
+   */
+  onSelect(listener) {
+    this.selectListeners.add(listener);
+    return () => this.selectListeners.delete(listener);
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.root.hidden = false;
+    this.input.select();
+    this.input.focus();
+    this.update();
+    this.changeListeners.forEach(listener => listener(this));
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.root.hidden = true;
+    this.input.blur();
+    this.changeListeners.forEach(listener => listener(this));
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  update() {
+    const query = this.input.value.trim();
+    this.results = this.index.search(query);
+    this.selected = 0;
+    this.empty.hidden = query === '' || this.results.length > 0;
+    this.render();
+  }
+
+  render() {
+    this.list.innerHTML = '';
+    this.results.forEach((result, i) => {
+      const item = document.createElement('li');
+      item.className = 'search-result';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(i === this.selected));
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      title.textContent = t('search.result', { id: result.id });
+      item.appendChild(title);
+
+      // The id itself is the title already
+      if (result.field !== 'id') {
+        const snippet = document.createElement('span');
+        snippet.className = 'search-result-snippet';
+        snippet.dir = 'auto';
+        if (result.language) snippet.lang = result.language;
+        snippet.textContent = result.text;
+        item.appendChild(snippet);
+      }
+
+      item.addEventListener('click', () => this.select(i));
+      item.addEventListener('mousemove', () => this.highlight(i));
+      this.list.appendChild(item);
+    });
+  }
+
+  highlight(index) {
+    if (index === this.selected) return;
+    this.selected = index;
+    [...this.list.children].forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === index));
+      if (i === index) item.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  select(index) {
+    const result = this.results[index];
+    if (!result) return;
+    this.close();
+    this.selectListeners.forEach(listener => listener(result.id));
+  }
+
+  onKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        this.highlight(Math.min(this.selected + 1, this.results.length - 1));
+        break;
+      case 'ArrowUp':
+        this.highlight(Math.max(this.selected - 1, 0));
+        break;
+      case 'Enter':
+        this.select(this.selected);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        // Keep typing out of the movement keys
+        event.stopPropagation();
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
@@ -259,6 +259,12 @@ export class TouchControls {
     }
   }
   
+  setActionButtonLabel(label) {
+    if (this.actionButton) {
+      this.actionButton.textContent = label;
+    }
+  }
+  
   onActionButton(callback) {
     if (this.actionButton) {
       this.actionButton.addEventListener('click', callback);
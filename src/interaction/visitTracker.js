@@ -0,0 +1,55 @@
+/**
+ * VisitTracker - Remembers which letters the visitor has heard
+ *
+ * A letter counts as visited once its narration has started playing.
+ */
+export class VisitTracker {
+  constructor() {
+    this.visited = new Set();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to newly visited letters
+   * @param {function(number|null, VisitTracker)} listener - Called with the letter id (null after restore or clear)
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  markVisited(letterId) {
+    if (this.visited.has(letterId)) return;
+    this.visited.add(letterId);
+    console.log(`Visited letter ${letterId} (${this.visited.size} so far)`);
+    this.listeners.forEach(listener => listener(letterId, this));
+  }
+
+  /**
+   * Mark letters visited in an earlier session, notifying listeners once
+   * @param {Array<number>} letterIds
+   */
+  restore(letterIds) {
+    if (letterIds.length === 0) return;
+    letterIds.forEach(letterId => this.visited.add(letterId));
+    this.listeners.forEach(listener => listener(null, this));
+  }
+
+  clear() {
+    this.visited.clear();
+    this.listeners.forEach(listener => listener(null, this));
+  }
+
+  isVisited(letterId) {
+    return this.visited.has(letterId);
+  }
+
+  get count() {
+    return this.visited.size;
+  }
+
+  get ids() {
+    return [...this.visited];
+  }
+}
@@ -1,38 +1,276 @@
 import * as THREE from 'three';
-import { initScene } from '@renderer/sceneSetup.js';
+import { initScene, setPixelRatio } from '@renderer/sceneSetup.js';
 import { initLighting } from '@renderer/lighting.js';
 import { initControls, setWalkingSpeed, getWalkingSpeed } from '@renderer/controls.js';
-import { loadLetters } from '@renderer/letters.js';
+import { loadLetters, getLetterViewpoint } from '@renderer/letters.js';
 import { LoadingScene } from '@renderer/loadingScene.js';
+import { SceneTransition } from '@renderer/sceneTransition.js';
+import { LetterStreamer } from '@renderer/letterStreamer.js';
+import { LetterBatches } from '@renderer/letterBatches.js';
+import { QualityManager } from '@renderer/qualityManager.js';
+import { EffectsPipeline, EFFECT_PRESETS } from '@renderer/effectsPipeline.js';
 import { audioEngine } from '@audio/audioEngine.js';
 import { themeMixer } from '@audio/themeMixer.js';
+import { subtitleManager } from '@audio/subtitles.js';
+import { soundscape } from '@audio/soundscape.js';
+import { transcriptionTracker } from '@audio/transcriptions.js';
+import { setRegionHighlight, updateRegionHighlights } from '@renderer/regionHighlight.js';
 import { ProximityManager } from '@interaction/proximityManager.js';
-import { AUDIO, ASSETS, ANIMATION } from '@config/constants.js';
-import lettersData from '@data/letters.json';
+import { GuidedTour } from '@interaction/guidedTour.js';
+import { PathRecorder } from '@interaction/pathRecorder.js';
+import { CollisionSystem } from '@interaction/collision.js';
+import { InspectMode } from '@interaction/inspectMode.js';
+import { DeepZoomViewer } from '@interaction/deepZoomViewer.js';
+import { SearchPanel } from '@interaction/searchPanel.js';
+import { CameraFlight } from '@interaction/cameraFlight.js';
+import { VisitTracker } from '@interaction/visitTracker.js';
+import { Minimap, MapPanel } from '@interaction/minimap.js';
+import { introCards } from '@interaction/introCards.js';
+import { AUDIO, ASSETS, ANIMATION, COLLISION, SEARCH, PROGRESS, STREAMING } from '@config/constants.js';
+import { loadCatalogue } from '@data/catalogue.js';
+import { LetterSearchIndex } from '@data/searchIndex.js';
+import { ProgressStore } from '@data/progressStore.js';
+import {
+  detectLanguage,
+  setLanguage,
+  getLanguage,
+  onLanguageChange,
+  applyTranslations,
+  t
+} from '@utils/i18n.js';
+import { parseDeepLink, letterPath } from '@utils/deepLink.js';
+import { isOfflineSupported, registerServiceWorker, getOfflineStatus, downloadArchive } from '@utils/offline.js';
 
 // Loading Scene Elements
-const loadingSceneContainer = document.getElementById('loading-scene-container');
 const loadingOverlay = document.getElementById('loading-overlay');
 const loadingProgress = document.getElementById('loading-progress');
 const loadingStatus = document.getElementById('loading-status');
 const skipBtn = document.getElementById('skip-intro-btn');
-
-// Create the 3D loading scene
-const loadingScene = new LoadingScene(loadingSceneContainer);
+const nextChapterBtn = document.getElementById('next-chapter-btn');
 
 // Main game state
 let gameInitialized = false;
 let assetsLoaded = false;
 let loadingSceneComplete = false;
+let hasEntered = false;
+
+// Visited letters, camera pose, audio settings and language from the last visit
+const progressStore = new ProgressStore();
+
+// Rendering quality: picked from frame times, starting where the last visit left off, or set by hand
+const qualityManager = new QualityManager(progressStore.data.quality);
+
+// Letter or view linked in the URL (/letter/12, #pos=...), checked once the letters load
+let deepLink = parseDeepLink();
+const linkBtn = document.getElementById('link-btn');
 
-// 1. Initialize Scene (hidden until loading complete)
-const { scene, camera, renderer } = initScene();
+// 1. Initialize Scene (the intro is drawn with the same renderer until it hands over)
+const { scene, camera, renderer } = initScene(qualityManager.preset);
+
+// Create the 3D loading scene, and the fog that carries the view from it into the gallery
+let loadingScene = new LoadingScene(renderer, qualityManager.preset);
+const sceneTransition = new SceneTransition();
+
+// Post-processing: depth of field on the active letter, bloom on the glass (as far as the quality allows)
+const galleryEffects = new EffectsPipeline(renderer, scene, camera, EFFECT_PRESETS.gallery, qualityManager.preset);
+window.addEventListener('resize', () => {
+  galleryEffects.setSize(window.innerWidth, window.innerHeight);
+});
 
 // 2. Lighting
 const { pointLight, pointLight2 } = initLighting(scene);
 
 // 3. Controls
-const { controls, touchControls, isTouchDevice, update: updateControls, getVelocity, activate: activateControls, deactivate: deactivateControls, isActive: isControlsActive } = initControls(camera, document.body);
+const { controls, touchControls, isTouchDevice, update: updateControls, getVelocity, activate: activateControls, deactivate: deactivateControls, isActive: isControlsActive, hasMoveInput, setCollision, setInputEnabled } = initControls(camera, document.body);
+
+// Inspect mode: hold the active letter up to the camera to read it
+const inspectMode = new InspectMode(camera, renderer);
+
+function toggleInspect() {
+  if (inspectMode.isActive) {
+    inspectMode.exit();
+    return;
+  }
+
+  const letter = proximityManager?.activeLetter;
+  if (!letter) return;
+
+  // Stand still with this letter active until it is back in place
+  guidedTour?.interrupt();
+  proximityManager.lock(letter);
+  setInputEnabled(false);
+  inspectMode.enter(letter);
+}
+
+inspectMode.onChange((mode) => {
+  // No model swaps under the visitor's nose, and no string across the view
+  letterStreamer?.hold(mode.isActive ? mode.letter : null);
+  letterBatches?.hideString(mode.isActive ? mode.letter : null);
+  if (mode.state === 'idle') {
+    proximityManager.unlock();
+    setInputEnabled(true);
+  }
+  document.body.classList.toggle('inspecting', mode.isActive);
+  if (touchControls) {
+    touchControls.setActionButtonLabel(mode.isActive ? '✕' : '●');
+  }
+});
+
+document.getElementById('inspect-flip-btn').addEventListener('click', () => inspectMode.flip());
+document.getElementById('inspect-close-btn').addEventListener('click', () => inspectMode.exit());
+
+if (touchControls) {
+  touchControls.onActionButton(toggleInspect);
+} else {
+  // Desktop: click while walking (pointer locked)
+  document.addEventListener('click', (event) => {
+    if (!isControlsActive() || event.target.closest('button, input, #debug-panel')) return;
+    toggleInspect();
+  });
+}
+
+// Full-screen overlays (scan viewer, search, floor plan) free the pointer without pausing,
+// so narration keeps playing, and take it back when they close
+let resumeAfterOverlay = false;
+
+function isOverlayOpen() {
+  return letterViewer.isOpen || searchPanel?.isOpen || mapPanel?.isOpen;
+}
+
+function openOverlay() {
+  resumeAfterOverlay = !isTouchDevice && isControlsActive();
+  setInputEnabled(false);
+  if (resumeAfterOverlay) {
+    controls.unlock();
+  }
+}
+
+function closeOverlay() {
+  setInputEnabled(!inspectMode.isActive && !cameraFlight.isActive);
+  if (resumeAfterOverlay) {
+    // Re-locking can be refused outside a click, so fall back to the pause screen
+    resumeAfterOverlay = false;
+    pauseScreen.style.display = 'flex';
+    controls.lock();
+  }
+}
+
+// Scan viewer: the letter's JPEG scans full screen, from the preview cards or V
+const letterViewer = new DeepZoomViewer(document.getElementById('letter-viewer'));
+
+function openViewer(side = 'front') {
+  const letter = inspectMode.letter ?? proximityManager?.activeLetter;
+  const letterData = letter && catalogue.get(letter.userData.id);
+  if (!letterData || isOverlayOpen()) return;
+
+  openOverlay();
+  letterViewer.open(letterData, side, t('viewer.title', { id: letterData.id }));
+}
+
+letterViewer.onChange((viewer) => {
+  if (!viewer.isOpen) closeOverlay();
+});
+
+document.querySelectorAll('#letter-preview .preview-card').forEach((card, index) => {
+  card.addEventListener('click', () => openViewer(index === 0 ? 'front' : 'back'));
+});
+
+// Transcription: the line being narrated is highlighted on the letter, the preview and the viewer
+const previewRegions = document.querySelectorAll('#letter-preview .preview-region');
+let highlightedLetter = null;
+let highlightedLine = null;
+
+function updateTranscriptionHighlight(letter, line) {
+  if (letter === highlightedLetter && line === highlightedLine) return;
+
+  if (highlightedLetter && highlightedLetter !== letter) {
+    setRegionHighlight(highlightedLetter, null);
+  }
+  if (letter) {
+    setRegionHighlight(letter, line);
+  }
+  highlightedLetter = letter;
+  highlightedLine = line;
+
+  previewRegions.forEach(region => {
+    const active = line?.side === region.dataset.side;
+    region.classList.toggle('active', active);
+    if (active) {
+      const [x, y, width, height] = line.region.map(value => `${value * 100}%`);
+      Object.assign(region.style, { left: x, top: y, width, height });
+    }
+  });
+
+  letterViewer.setHighlight(letter && letterViewer.letterId === letter.userData.id ? line : null);
+}
+
+// Search: find a letter by its text or transcription and fly to it
+const cameraFlight = new CameraFlight(camera);
+let searchPanel = null; // Created once the catalogue is loaded
+
+function openSearch() {
+  if (!searchPanel || isOverlayOpen() || inspectMode.isActive) return;
+  openOverlay();
+  searchPanel.open();
+}
+
+function flyToLetter(letterId) {
+  const letter = letterObjects.find(object => object.userData.id === letterId);
+  if (!letter) {
+    console.warn(`Search: letter ${letterId} is not loaded`);
+    return;
+  }
+
+  // No narrations from letters passed on the way
+  guidedTour?.interrupt();
+  proximityManager.lock(null);
+  setInputEnabled(false);
+
+  const viewpoint = getLetterViewpoint(letter, SEARCH.VIEW_DISTANCE);
+  cameraFlight.start(viewpoint, letter.position, () => {
+    proximityManager.unlock();
+    proximityManager.setActiveLetter(letter);
+    setInputEnabled(!isOverlayOpen());
+  });
+}
+
+document.getElementById('mobile-search-btn').addEventListener('click', () => {
+  if (isControlsActive()) openSearch();
+});
+
+// Floor plan: a corner minimap of the visitor among the letters, enlarged
+// with M (or a tap) to pick a letter to fly to. Visited = narration heard.
+const visitTracker = new VisitTracker();
+const minimapHud = document.getElementById('minimap-hud');
+let minimap = null; // Created once the letters are loaded
+let mapPanel = null;
+
+audioEngine.onNarrationStart((letterId) => visitTracker.markVisited(letterId));
+
+function updateVisitCount() {
+  if (!minimap) return;
+  const progress = { count: visitTracker.count, total: minimap.letters.length };
+  const text = t('map.visited', progress);
+  document.getElementById('minimap-count').textContent = text;
+  document.getElementById('map-count').textContent = text;
+
+  // Start screen: how far the visitor got last time
+  continueStatus.textContent = t('start.progress', progress);
+  continueStatus.hidden = continueBtn.hidden || visitTracker.count === 0;
+}
+
+visitTracker.onChange(updateVisitCount);
+visitTracker.onChange(() => progressStore.update({ visited: visitTracker.ids }));
+
+function openMap() {
+  if (!mapPanel || isOverlayOpen() || inspectMode.isActive || cameraFlight.isActive) return;
+  openOverlay();
+  mapPanel.open();
+}
+
+minimapHud.addEventListener('click', () => {
+  if (isTouchDevice && isControlsActive()) openMap();
+});
 
 // Debug: Speed slider setup
 const speedSlider = document.getElementById('speed-slider');
@@ -45,44 +283,326 @@ speedSlider.addEventListener('input', (e) => {
   speedValueDisplay.textContent = speed;
 });
 
+// Debug: Soundscape toggle
+const soundscapeToggle = document.getElementById('soundscape-toggle');
+soundscapeToggle.addEventListener('change', (e) => {
+  soundscape.setEnabled(e.target.checked);
+  progressStore.update({ audio: { ...progressStore.data.audio, soundscape: e.target.checked } });
+});
+
+// Audio settings (pause screen), saved with the visitor's progress
+const volumeSlider = document.getElementById('volume-slider');
+const muteBtn = document.getElementById('mute-btn');
+
+function updateMuteButton() {
+  const key = audioEngine.muted ? 'settings.unmute' : 'settings.mute';
+  muteBtn.dataset.i18n = key;
+  muteBtn.textContent = t(key);
+  muteBtn.classList.toggle('active', audioEngine.muted);
+}
+
+function applyAudioSettings({ volume, muted, soundscape: soundscapeEnabled }) {
+  audioEngine.setVolume(volume);
+  audioEngine.setMuted(muted);
+  soundscape.setEnabled(soundscapeEnabled);
+  volumeSlider.value = Math.round(volume * 100);
+  soundscapeToggle.checked = soundscapeEnabled;
+  updateMuteButton();
+}
+
+applyAudioSettings(progressStore.data.audio);
+
+volumeSlider.addEventListener('input', (e) => {
+  const volume = parseInt(e.target.value, 10) / 100;
+  audioEngine.setVolume(volume);
+  progressStore.update({ audio: { ...progressStore.data.audio, volume } });
+});
+
+muteBtn.addEventListener('click', () => {
+  audioEngine.setMuted(!audioEngine.muted);
+  updateMuteButton();
+  progressStore.update({ audio: { ...progressStore.data.audio, muted: audioEngine.muted } });
+});
+
+// Quality settings (pause screen): Auto, or a fixed level
+const qualityButtons = document.querySelectorAll('.quality-btn');
+
+function updateQualityButtons() {
+  qualityButtons.forEach(button => {
+    const level = button.dataset.quality;
+    const isSelected = level === 'auto' ? qualityManager.isAuto : level === qualityManager.override;
+    button.classList.toggle('active', isSelected);
+    button.setAttribute('aria-pressed', isSelected);
+    if (level === 'auto') {
+      // Show which level Auto is on
+      button.textContent = qualityManager.isAuto
+        ? t('settings.quality.auto.current', { level: t(`settings.quality.${qualityManager.level}`) })
+        : t('settings.quality.auto');
+    }
+  });
+}
+
+qualityManager.onChange((manager) => {
+  const preset = manager.preset;
+  setPixelRatio(renderer, preset.pixelRatio);
+  galleryEffects.setQuality(preset);
+  loadingScene?.applyQuality(preset);
+  if (preset.antialias !== renderer.getContextAttributes().antialias) {
+    console.log('Quality: antialiasing changes on the next page load');
+  }
+  progressStore.update({ quality: { level: manager.autoLevel, override: manager.override } });
+  updateQualityButtons();
+});
+
+qualityButtons.forEach(button => {
+  button.addEventListener('click', () => {
+    const level = button.dataset.quality;
+    qualityManager.setOverride(level === 'auto' ? null : level);
+    // Switching between Auto and the level it is on changes nothing on screen, but is still saved
+    progressStore.update({ quality: { level: qualityManager.autoLevel, override: qualityManager.override } });
+    updateQualityButtons();
+  });
+});
+
+// Offline mode (pause screen): save the whole archive through the service worker
+const offlineButton = document.getElementById('offline-btn');
+const offlineStatus = document.getElementById('offline-status');
+let offlineDownloading = false;
+let offlineFailed = 0;
+
+const toMegabytes = (bytes) => (bytes / 1048576).toFixed(1);
+
+async function updateOfflineUI() {
+  if (offlineDownloading) return;
+
+  const status = isOfflineSupported() ? await getOfflineStatus() : null;
+  if (!status) {
+    offlineButton.disabled = true;
+    offlineStatus.textContent = t('settings.offline.unsupported');
+    return;
+  }
+
+  const missing = status.missing.reduce((sum, file) => sum + file.size, 0);
+  offlineButton.disabled = status.missing.length === 0;
+  if (status.missing.length === 0) {
+    offlineStatus.textContent = t('settings.offline.ready');
+  } else if (offlineFailed > 0) {
+    offlineStatus.textContent = t('settings.offline.failed', { failed: offlineFailed });
+  } else {
+    offlineStatus.textContent = t('settings.offline.missing', { size: toMegabytes(missing) });
+  }
+}
+
+offlineButton.addEventListener('click', async () => {
+  offlineDownloading = true;
+  offlineButton.disabled = true;
+  try {
+    const { failed } = await downloadArchive(({ loaded, total }) => {
+      offlineStatus.textContent = t('settings.offline.progress', {
+        percent: total > 0 ? Math.floor((loaded / total) * 100) : 100,
+        loaded: toMegabytes(loaded),
+        total: toMegabytes(total)
+      });
+    });
+    offlineFailed = failed;
+  } catch (error) {
+    console.error('Offline download failed:', error);
+  }
+  offlineDownloading = false;
+  updateOfflineUI();
+});
+
+registerServiceWorker().then(updateOfflineUI);
+
+// Debug: Collision toggle (enabled once the letters have loaded)
+const collisionToggle = document.getElementById('collision-toggle');
+collisionToggle.checked = COLLISION.ENABLED;
+let collisionSystem = null;
+collisionToggle.addEventListener('change', (e) => {
+  if (collisionSystem) {
+    collisionSystem.setEnabled(e.target.checked);
+  }
+});
+
+// Debug: Path recorder (captures camera poses as camera path waypoints)
+const pathRecorder = new PathRecorder(controls.getObject());
+const recorderToggle = document.getElementById('recorder-toggle');
+const recorderControls = document.getElementById('recorder-controls');
+const recorderCount = document.getElementById('recorder-count');
+const recorderDwell = document.getElementById('recorder-dwell');
+
+function captureWaypoint() {
+  pathRecorder.capture({ dwell: parseFloat(recorderDwell.value) || 0 });
+  updateRecorderUI();
+}
+
+function updateRecorderUI() {
+  recorderControls.hidden = !pathRecorder.enabled;
+  recorderCount.textContent = `${pathRecorder.waypoints.length} waypoints`;
+}
+
+recorderToggle.addEventListener('change', (e) => {
+  pathRecorder.setEnabled(e.target.checked);
+  updateRecorderUI();
+});
+document.getElementById('recorder-capture').addEventListener('click', captureWaypoint);
+document.getElementById('recorder-undo').addEventListener('click', () => {
+  pathRecorder.undo();
+  updateRecorderUI();
+});
+document.getElementById('recorder-export').addEventListener('click', () => {
+  pathRecorder.download();
+});
+
+// Language: follow the browser preference until the visitor picks one
+const languageButtons = document.querySelectorAll('.lang-btn');
+
+function updateLanguageUI(language) {
+  applyTranslations();
+  languageButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.lang === language);
+  });
+}
+
+languageButtons.forEach(btn => {
+  btn.addEventListener('click', () => {
+    setLanguage(btn.dataset.lang);
+    progressStore.update({ language: btn.dataset.lang });
+  });
+});
+
+onLanguageChange((language) => {
+  updateLanguageUI(language);
+  updateTourUI();
+  updateVisitCount();
+  updateMuteButton();
+  updateQualityButtons();
+  updateOfflineUI();
+  updateLinkButton();
+  audioEngine.setLanguage(language);
+});
+
+setLanguage(progressStore.data.language ?? detectLanguage());
+updateLanguageUI(getLanguage());
+
+subtitleManager.attach(document.getElementById('subtitle-container'));
+
 // 4. Load Content (async)
+let catalogue = null;
 let letterObjects = [];
+let letterStreamer = null;
+let letterBatches = null;
 let proximityManager = null;
+let guidedTour = null;
 
 const loadingScreen = document.getElementById('loading-screen');
 const startScreen = document.getElementById('start-screen');
 const startBtn = document.getElementById('start-btn');
 const pauseScreen = document.getElementById('pause-screen');
 const resumeBtn = document.getElementById('resume-btn');
+const tourBtn = document.getElementById('tour-btn');
+const tourHud = document.getElementById('tour-hud');
+const tourStatus = document.getElementById('tour-status');
+const tourToggleBtn = document.getElementById('tour-toggle-btn');
+
+// Guided tour HUD: current stop and a leave/rejoin button (for touch screens)
+function updateTourUI() {
+  if (!guidedTour) return;
+
+  const key = guidedTour.isRunning ? 'tour.leave' : (guidedTour.started ? 'tour.rejoin' : 'tour.start');
+  tourToggleBtn.dataset.i18n = key;
+  tourToggleBtn.textContent = t(key);
+
+  const stop = guidedTour.currentStop;
+  const progress = { stop: guidedTour.index + 1, total: guidedTour.stops.length };
+  if (!guidedTour.isRunning || !stop) {
+    tourStatus.textContent = '';
+  } else if (stop.letter) {
+    tourStatus.textContent = t('tour.status', { id: stop.letter.userData.id, ...progress });
+  } else {
+    tourStatus.textContent = t('tour.progress', progress);
+  }
+}
 
-// Function to transition from loading to game
+// Function to transition from loading to game: the intro dives into fog, which clears over the gallery
 function transitionToGame() {
-  if (!assetsLoaded || !loadingSceneComplete) return;
+  if (!assetsLoaded || !loadingSceneComplete || !loadingScene || sceneTransition.isActive) return;
   
-  // Fade out loading scene
+  // Fade out the loading text while the fog comes in
   loadingScreen.style.opacity = '0';
   
-  setTimeout(() => {
-    loadingScreen.style.display = 'none';
-    
-    // Clean up loading scene
-    loadingScene.dispose();
-    
-    // Show start screen
-    startScreen.style.display = 'flex';
-    gameInitialized = true;
-  }, 800);
+  sceneTransition.start(loadingScene, scene, {
+    onSwitch: () => {
+      loadingScreen.style.display = 'none';
+      
+      // Clean up loading scene; the gallery is drawn from this frame on
+      loadingScene.dispose();
+      loadingScene = null;
+      
+      // Show start screen
+      startScreen.style.display = 'flex';
+      gameInitialized = true;
+    }
+  });
 }
 
-// Skip button handler
+// Skip and next-chapter button handlers
 if (skipBtn) {
   skipBtn.addEventListener('click', () => {
     if (loadingScene) {
-      loadingScene.skipTransition();
+      loadingScene.skip();
+    }
+  });
+}
+
+if (nextChapterBtn) {
+  nextChapterBtn.addEventListener('click', () => {
+    if (loadingScene) {
+      loadingScene.next();
     }
   });
 }
 
+// Intro chapters: text cards over the scene, and Next while more chapters follow
+introCards.attach(document.getElementById('intro-cards'));
+loadingScene.onChapterChange = () => {
+  if (nextChapterBtn) {
+    nextChapterBtn.hidden = !loadingScene.hasNextChapter();
+  }
+};
+
+// Loading progress of the letter scans and of the intro's models (in bytes)
+const loadingState = { scans: null, intro: null };
+
+function updateLoadingProgress() {
+  const { scans, intro } = loadingState;
+  const parts = [];
+  const fractions = [];
+  if (scans) {
+    parts.push(`${scans.loaded}/${scans.total} scans`);
+    fractions.push(scans.total > 0 ? scans.loaded / scans.total : 1);
+  }
+  if (intro && intro.total > 0) {
+    const megabytes = (bytes) => (bytes / 1048576).toFixed(1);
+    parts.push(`${megabytes(intro.loaded)}/${megabytes(intro.total)} MB`);
+    fractions.push(intro.loaded / intro.total);
+  }
+  if (fractions.length === 0) return;
+
+  if (loadingProgress) {
+    loadingProgress.textContent = parts.join(' • ');
+  }
+  if (loadingStatus) {
+    const percent = fractions.reduce((sum, fraction) => sum + fraction, 0) / fractions.length * 100;
+    loadingStatus.textContent = `Loading experience... ${Math.round(percent)}%`;
+  }
+}
+
+loadingScene.onProgress = (loaded, total) => {
+  loadingState.intro = { loaded, total };
+  updateLoadingProgress();
+};
+
 // Start the loading scene animation
 loadingScene.start(() => {
   loadingSceneComplete = true;
@@ -92,34 +612,78 @@ loadingScene.start(() => {
   transitionToGame();
 });
 
+// Linked and returning visitors go straight to the start screen once the letters are loaded
+if (deepLink) {
+  console.log('Deep link: skipping the intro');
+  loadingScene.skip();
+} else if (progressStore.isReturning && progressStore.data.skipIntro) {
+  console.log('Returning visitor: skipping the intro');
+  loadingScene.skip();
+}
+
 (async () => {
   try {
+    // Validate letters.json before anything is requested from the network
+    catalogue = loadCatalogue();
+    visitTracker.restore(progressStore.data.visited.filter(id => catalogue.has(id)));
+
     console.log('Loading letter models...');
     
     // Progress callback to update UI
     const updateProgress = (loaded, total) => {
-      if (loadingProgress) {
-        loadingProgress.textContent = `${loaded}/${total} models`;
-      }
-      if (loadingStatus) {
-        loadingStatus.textContent = `Loading experience... ${Math.round((loaded/total) * 100)}%`;
-      }
+      loadingState.scans = { loaded, total };
+      updateLoadingProgress();
     };
-    
-    // Add a timeout to prevent infinite loading
-    const loadingTimeout = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Loading timeout - assets took too long to load')), 60000);
+
+    // Every letter starts as a placeholder; full models stream in around the visitor
+    letterObjects = await loadLetters(scene, catalogue.letters);
+    letterBatches = new LetterBatches(scene, letterObjects);
+    galleryEffects.setBloomSelection([letterBatches.glass]);
+    letterStreamer = new LetterStreamer(letterObjects);
+    letterStreamer.onProgress = updateProgress;
+    letterStreamer.onChange((letter) => {
+      collisionSystem?.updateLetter(letter);
+      // The new meshes start without the narrated line
+      if (letter === highlightedLetter) {
+        setRegionHighlight(letter, highlightedLine);
+      }
     });
-    
-    letterObjects = await Promise.race([
-      loadLetters(scene, lettersData, updateProgress),
-      loadingTimeout
-    ]);
-    
+
+    // Wait for the placeholder scans, but not forever on slow networks: the rest keep streaming
+    const startTimeout = new Promise(resolve => setTimeout(() => resolve('timeout'), STREAMING.START_TIMEOUT * 1000));
+    if (await Promise.race([letterStreamer.placeholdersReady, startTimeout]) === 'timeout') {
+      console.warn(`Placeholder scans still loading after ${STREAMING.START_TIMEOUT}s, starting anyway`);
+    }
+
     console.log(`Loaded ${letterObjects.length} letters successfully!`);
 
     // 5. Interaction
     proximityManager = new ProximityManager(camera, letterObjects);
+    searchPanel = new SearchPanel(document.getElementById('search-panel'), new LetterSearchIndex(catalogue));
+    searchPanel.onChange((panel) => {
+      if (!panel.isOpen) closeOverlay();
+    });
+    searchPanel.onSelect(flyToLetter);
+    minimap = new Minimap(document.getElementById('minimap-canvas'), letterObjects, visitTracker);
+    mapPanel = new MapPanel(document.getElementById('map-panel'), letterObjects, visitTracker);
+    mapPanel.onChange((panel) => {
+      if (!panel.isOpen) closeOverlay();
+    });
+    mapPanel.onSelect(flyToLetter);
+    updateVisitCount();
+    collisionSystem = new CollisionSystem(letterObjects);
+    setCollision(collisionSystem);
+    guidedTour = new GuidedTour(camera, letterObjects, proximityManager);
+    pathRecorder.proximityManager = proximityManager;
+    guidedTour.onChange(updateTourUI);
+    updateTourUI();
+
+    if (deepLink?.letterId != null && !letterObjects.some(letter => letter.userData.id === deepLink.letterId)) {
+      console.warn(`Deep link: there is no letter ${deepLink.letterId}`);
+      deepLink = deepLink.pose ? { letterId: null, pose: deepLink.pose } : null;
+    }
+    linkBtn.hidden = !deepLink;
+    updateLinkButton();
 
     // Mark assets as loaded
     assetsLoaded = true;
@@ -140,11 +704,13 @@ loadingScene.start(() => {
       });
 
       controls.addEventListener('unlock', () => {
-        // Only show pause screen if we are not in the start screen
-        if (startScreen.style.display === 'none') {
+        // Only show pause screen if we are not in the start screen or an overlay
+        if (startScreen.style.display === 'none' && !isOverlayOpen()) {
           pauseScreen.style.display = 'flex';
           // Pause audio when controls are unlocked (game paused)
           audioEngine.pause();
+          // Files fetched while walking are cached too
+          updateOfflineUI();
         }
       });
     }
@@ -164,7 +730,7 @@ loadingScene.start(() => {
     loadingScreen.innerHTML = `
       <div style="color: #ff6b6b; text-align: center; padding: 20px;">
         <h2>Error Loading Experience</h2>
-        <p style="margin: 10px 0;">${error.message || 'Failed to load assets'}</p>
+        <p style="margin: 10px 0; white-space: pre-line; text-align: left;">${error.message || 'Failed to load assets'}</p>
         <p style="font-size: 12px; opacity: 0.7;">Check the browser console for details (F12)</p>
         <button onclick="location.reload()" style="margin-top: 15px; padding: 10px 20px; cursor: pointer;">
           Retry
@@ -175,7 +741,7 @@ loadingScene.start(() => {
 })();
 
 // 6. Start Experience
-startBtn.addEventListener('click', () => {
+function enterExperience() {
   // Initialize Audio Context
   audioEngine.init();
 
@@ -185,11 +751,24 @@ startBtn.addEventListener('click', () => {
   // Play background theme music
   audioEngine.playBackgroundTheme(AUDIO.THEME_PATH);
 
-  // Preload all narrations
-  lettersData.forEach(letter => {
+  // Preload all narrations in the chosen language
+  audioEngine.setLanguage(getLanguage());
+  catalogue.forEach(letter => {
     if (letter.narration) {
       audioEngine.registerNarration(letter.id, letter.narration);
     }
+    if (letter.subtitles) {
+      subtitleManager.register(letter.id, letter.subtitles);
+    }
+    if (letter.theme) {
+      themeMixer.registerTheme(letter.id, letter.theme);
+    }
+    if (letter.ambience) {
+      soundscape.registerLayer(letter.id, letter.ambience);
+    }
+    if (letter.transcription.length > 0) {
+      transcriptionTracker.register(letter.id, letter.transcription, letter.narration);
+    }
   });
 
   // Activate Controls (Enter FPS mode)
@@ -200,6 +779,130 @@ startBtn.addEventListener('click', () => {
   setTimeout(() => {
     startScreen.style.display = 'none';
   }, 500);
+
+  tourHud.classList.add('visible');
+  minimapHud.classList.add('visible');
+  hasEntered = true;
+}
+
+startBtn.addEventListener('click', enterExperience);
+
+// Saved progress: continue where the last visit ended, or forget it
+const continueBtn = document.getElementById('continue-btn');
+const continueStatus = document.getElementById('continue-status');
+const skipIntroToggle = document.getElementById('skip-intro-toggle');
+const _poseEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const round = (value, digits) => Number(value.toFixed(digits));
+
+continueBtn.hidden = !progressStore.data.camera;
+skipIntroToggle.checked = progressStore.data.skipIntro;
+
+function saveCameraPose() {
+  _poseEuler.setFromQuaternion(camera.quaternion, 'YXZ');
+  progressStore.update({
+    camera: {
+      position: camera.position.toArray().map(value => round(value, 2)),
+      yaw: round(_poseEuler.y, 3),
+      pitch: round(_poseEuler.x, 3)
+    }
+  });
+}
+
+continueBtn.addEventListener('click', () => {
+  const { position, yaw, pitch } = progressStore.data.camera;
+  camera.position.fromArray(position);
+  camera.quaternion.setFromEuler(_poseEuler.set(pitch, yaw, 0, 'YXZ'));
+  console.log(`Continuing at (${position.join(', ')})`);
+  enterExperience();
+});
+
+skipIntroToggle.addEventListener('change', (e) => {
+  progressStore.update({ skipIntro: e.target.checked });
+});
+
+document.getElementById('reset-progress-btn').addEventListener('click', () => {
+  if (!window.confirm(t('start.reset.confirm'))) return;
+  visitTracker.clear();
+  progressStore.reset();
+  // Back to the browser's language, as on a first visit
+  setLanguage(detectLanguage());
+  applyAudioSettings(progressStore.data.audio);
+  qualityManager.setOverride(progressStore.data.quality.override);
+  updateQualityButtons();
+  skipIntroToggle.checked = progressStore.data.skipIntro;
+  continueBtn.hidden = true;
+  continueStatus.hidden = true;
+});
+
+// Deep link: start in front of the linked letter (with its preview up) or at the linked view
+function updateLinkButton() {
+  if (!deepLink) return;
+  linkBtn.textContent = deepLink.letterId !== null
+    ? t('start.link.letter', { id: deepLink.letterId })
+    : t('start.link.view');
+}
+
+linkBtn.addEventListener('click', () => {
+  const letter = letterObjects.find(object => object.userData.id === deepLink.letterId) ?? null;
+  if (deepLink.pose) {
+    const { position, yaw, pitch } = deepLink.pose;
+    camera.position.fromArray(position);
+    camera.quaternion.setFromEuler(_poseEuler.set(pitch, yaw, 0, 'YXZ'));
+  } else {
+    // The same spot a search result lands on
+    getLetterViewpoint(letter, SEARCH.VIEW_DISTANCE, camera.position);
+    camera.lookAt(letter.position);
+  }
+  enterExperience();
+  if (letter && !deepLink.pose) {
+    proximityManager.setActiveLetter(letter);
+  }
+});
+
+// Save the pose when leaving (not mid-flight: the visitor would land in the air)
+window.addEventListener('pagehide', () => {
+  if (hasEntered && !cameraFlight.isActive) saveCameraPose();
+});
+
+// Guided tour: same entry, then the camera follows the curator's path
+tourBtn.addEventListener('click', () => {
+  enterExperience();
+  guidedTour.start();
+});
+
+tourToggleBtn.addEventListener('click', () => {
+  if (cameraFlight.isActive) return;
+  guidedTour.toggle();
+});
+
+document.addEventListener('keydown', (event) => {
+  // The scan viewer, search and floor plan handle their own keys
+  if (isOverlayOpen()) return;
+
+  const searchShortcut = event.code === 'Slash' || (event.code === 'KeyK' && (event.ctrlKey || event.metaKey));
+  if (searchShortcut && isControlsActive()) {
+    // Keep the slash out of the search box
+    event.preventDefault();
+    openSearch();
+    return;
+  }
+
+  if (event.code === 'KeyV' && isControlsActive()) {
+    openViewer();
+  }
+  if (event.code === 'KeyM' && isControlsActive()) {
+    openMap();
+  }
+  if (event.code === 'KeyT' && guidedTour && isControlsActive() && !inspectMode.isActive && !cameraFlight.isActive) {
+    guidedTour.toggle();
+  }
+  if (event.code === 'KeyF' && inspectMode.isActive) {
+    inspectMode.flip();
+  }
+  // Capture a waypoint without leaving pointer lock
+  if (event.code === 'KeyR' && pathRecorder.enabled && isControlsActive()) {
+    captureWaypoint();
+  }
 });
 
 // Mobile pause button handler
@@ -209,20 +912,68 @@ if (pauseBtn) {
     deactivateControls();
     pauseScreen.style.display = 'flex';
     audioEngine.pause();
+    updateOfflineUI();
   });
 }
 
 // 7. Animation Loop
 const clock = new THREE.Clock();
+let poseSaveTimer = 0;
+let urlLetterId = deepLink?.letterId ?? null; // Letter the address bar links to
 
 function animate() {
   requestAnimationFrame(animate);
 
   const delta = clock.getDelta();
 
+  // Step the rendering quality up or down to hold the frame rate
+  qualityManager.update(delta);
+
+  // Load full letter models around the camera, free far ones; this also
+  // queues the placeholder scans, so it runs while the intro plays too
+  if (letterStreamer) {
+    letterStreamer.update(camera.position);
+  }
+
+  // Keep the audio listener on the camera for spatial narration
+  audioEngine.updateListener(camera);
+
+  // The intro has the screen until the fog hands over to the gallery
+  sceneTransition.update(delta);
+  if (loadingScene) {
+    loadingScene.update();
+    loadingScene.render(delta);
+    return;
+  }
+
   // Update Controls
   updateControls(delta);
-  
+
+  // Bring the inspected letter in, orbit it, or send it back
+  inspectMode.update(delta);
+
+  // Fly to a search result (frozen while paused)
+  if (isControlsActive()) {
+    cameraFlight.update(delta);
+  }
+
+  // Guided tour drives the camera until the visitor moves (frozen while paused, inspecting or flying)
+  if (guidedTour && isControlsActive() && !inspectMode.isActive && !cameraFlight.isActive) {
+    if (hasMoveInput()) {
+      guidedTour.interrupt();
+    }
+    guidedTour.update(delta);
+  }
+
+  // Remember where the visitor is, for Continue on the next visit
+  if (isControlsActive() && !inspectMode.isActive && !cameraFlight.isActive) {
+    poseSaveTimer += delta;
+    if (poseSaveTimer >= PROGRESS.SAVE_INTERVAL) {
+      poseSaveTimer = 0;
+      saveCameraPose();
+    }
+  }
+
   // Update debug speed display
   currentSpeedDisplay.textContent = getVelocity().toFixed(2);
 
@@ -234,18 +985,31 @@ function animate() {
     // Update Audio Theme
     themeMixer.update(activeLetterId);
 
+    // Blend ambient layers from all nearby letters
+    soundscape.update(proximityManager.ambientWeights);
+
+    // Keep the address bar on the letter the visitor is at, ready to share
+    if (hasEntered && activeLetterId !== urlLetterId) {
+      urlLetterId = activeLetterId;
+      history.replaceState(null, '', letterPath(activeLetterId) + window.location.search);
+    }
+
+    // Touch: the action button inspects the active letter
+    if (touchControls) {
+      touchControls.showActionButton(isControlsActive() && (activeLetterId !== null || inspectMode.isActive));
+    }
+
     // Update UI
     const previewContainer = document.getElementById('letter-preview');
     const frontImage = document.getElementById('preview-front');
     const backImage = document.getElementById('preview-back');
-    const subtitleContainer = document.getElementById('subtitle-container');
 
     if (activeLetterId) {
-      const letterData = lettersData.find(l => l.id === activeLetterId);
+      const letterData = catalogue.get(activeLetterId);
       if (letterData) {
-        // Update Images
-        const frontPath = letterData.frontImage || `/assets/letters/${activeLetterId}.jpg`;
-        const backPath = letterData.backImage || `/assets/letters/${activeLetterId}-${activeLetterId}.jpg`;
+        // Update Images (defaults are filled in by the catalogue)
+        const frontPath = letterData.frontImage;
+        const backPath = letterData.backImage;
 
         if (frontImage.src !== new URL(frontPath, window.location.href).href) {
           frontImage.src = frontPath;
@@ -257,19 +1021,30 @@ function animate() {
         // Show Preview
         previewContainer.classList.add('visible');
 
-        // Update Subtitle (Mocking text for now as it's not in JSON)
-        // In a real scenario, we would read letterData.text or letterData.subtitle
-        const subtitleText = letterData.text || `Listening to Letter ${activeLetterId}...`;
-        subtitleContainer.innerHTML = `<div class="subtitle">${subtitleText}</div>`;
+        // Update Subtitle (timed cues, or the full text if there is no cue file)
+        subtitleManager.update(activeLetterId, letterData.text);
+
+        // Follow the narration line by line on the scans
+        updateTranscriptionHighlight(proximityManager.activeLetter, transcriptionTracker.getActiveLine(activeLetterId));
       }
     } else {
       // Hide Preview
       previewContainer.classList.remove('visible');
       // Clear Subtitle
-      subtitleContainer.innerHTML = '';
+      subtitleManager.clear();
+      updateTranscriptionHighlight(null, null);
     }
   }
 
+  updateRegionHighlights(delta);
+
+  // Floor plan
+  if (minimap) {
+    const mapLetterId = inspectMode.letter?.userData.id ?? activeLetterId;
+    minimap.draw(camera, mapLetterId);
+    mapPanel.draw(camera, mapLetterId);
+  }
+
   // Animate Letters (Slight airflow)
   const time = clock.getElapsedTime();
 
@@ -278,7 +1053,8 @@ function animate() {
 
   if (letterObjects.length > 0) {
     // Optimization: Only animate letters within view distance
-    const animationRadiusSq = ANIMATION.LETTER_ANIMATION_RADIUS * ANIMATION.LETTER_ANIMATION_RADIUS;
+    const animationRadius = qualityManager.preset.animationRadius;
+    const animationRadiusSq = animationRadius * animationRadius;
 
     letterObjects.forEach((letter, i) => {
       const distSq = camera.position.distanceToSquared(letter.position);
@@ -286,6 +1062,9 @@ function animate() {
       // Skip animation for distant letters to save CPU
       if (distSq > animationRadiusSq) return;
 
+      // The inspected letter is posed by InspectMode
+      if (letter === inspectMode.letter) return;
+
       const offset = i * 2; // Phase offset
 
       // Gentle rotation (torsion)
@@ -300,10 +1079,17 @@ function animate() {
 
     // Update Audio Theme
     // themeMixer.update(activeLetterId) is already called above
+
+    // Glass cases and strings follow the letters
+    letterBatches.update();
   }
 
+  // Keep the inspected or active letter sharp
+  const focusLetter = inspectMode.letter ?? proximityManager?.activeLetter ?? null;
+  galleryEffects.focusOn(focusLetter ? focusLetter.position : null, delta);
+
   // Render
-  renderer.render(scene, camera);
+  galleryEffects.render(delta);
 }
 
 animate();
@@ -333,7 +1119,9 @@ window.addEventListener('beforeunload', () => {
     });
   });
   
-  // Dispose renderer
+  // Dispose post-processing and renderer
+  loadingScene?.dispose();
+  galleryEffects.dispose();
   renderer.dispose();
   
   console.log('Resources cleaned up on page unload');
@@ -86,7 +86,14 @@ export function initControls(camera, domElement) {
 
   const velocity = new THREE.Vector3();
   const direction = new THREE.Vector3();
+  const previousPosition = new THREE.Vector3();
   let currentSpeed = 0;
+
+  // Optional CollisionSystem that corrects every move (see setCollision)
+  let collision = null;
+
+  // Movement and look input can be suspended (e.g. while inspecting a letter)
+  let inputEnabled = true;
   
   // Track if controls are active (for both desktop and mobile)
   let isActive = false;
@@ -101,7 +108,9 @@ export function initControls(camera, domElement) {
     activate: () => {
       if (useTouchControls) {
         isActive = true;
-        touchControls.enable();
+        if (inputEnabled) {
+          touchControls.enable();
+        }
       } else {
         controls.lock();
       }
@@ -121,6 +130,35 @@ export function initControls(camera, domElement) {
     isActive: () => {
       return useTouchControls ? isActive : controls.isLocked;
     },
+
+    // Keep moves out of obstacles and inside the walkable area
+    setCollision: (system) => {
+      collision = system;
+    },
+
+    // Suspend or restore walking and looking without leaving the experience
+    setInputEnabled: (enabled) => {
+      inputEnabled = enabled;
+      controls.enabled = enabled;
+      velocity.set(0, 0, 0);
+      if (useTouchControls && isActive) {
+        if (enabled) {
+          touchControls.enable();
+        } else {
+          touchControls.disable();
+        }
+      }
+    },
+
+    // Whether the visitor is currently asking to move (keyboard or joystick)
+    hasMoveInput: () => {
+      if (!inputEnabled) return false;
+      if (useTouchControls && isActive) {
+        const touchState = touchControls.getMoveState();
+        return touchState.moveX !== 0 || touchState.moveY !== 0;
+      }
+      return moveState.forward || moveState.backward || moveState.left || moveState.right;
+    },
     
     update: (delta) => {
       // Clamp delta to prevent physics explosions during lag spikes
@@ -132,7 +170,7 @@ export function initControls(camera, domElement) {
         activeMoveState = touchControls.getMoveState();
       }
       
-      const controlsActive = useTouchControls ? isActive : controls.isLocked;
+      const controlsActive = (useTouchControls ? isActive : controls.isLocked) && inputEnabled;
 
       if (controlsActive) {
         velocity.x -= velocity.x * 10.0 * timeStep;
@@ -153,6 +191,8 @@ export function initControls(camera, domElement) {
         if (direction.z !== 0) velocity.z -= direction.z * walkingSpeed * timeStep;
         if (direction.x !== 0) velocity.x -= direction.x * walkingSpeed * timeStep;
 
+        previousPosition.copy(camera.position);
+
         // Move camera
         if (useTouchControls) {
           // For touch controls, move camera directly
@@ -170,6 +210,11 @@ export function initControls(camera, domElement) {
           controls.moveRight(-velocity.x * timeStep);
           controls.moveForward(-velocity.z * timeStep);
         }
+
+        // Slide along letters and stay inside the walkable area
+        if (collision) {
+          collision.resolve(previousPosition, camera.position);
+        }
         
         // Calculate current speed for debug display
         currentSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import {
+  EffectComposer,
+  EffectPass,
+  RenderPass,
+  BloomEffect,
+  SelectiveBloomEffect,
+  VignetteEffect,
+  ChromaticAberrationEffect,
+  NoiseEffect,
+  DepthOfFieldEffect,
+  BlendFunction,
+  ToneMappingEffect,
+  ToneMappingMode
+} from 'postprocessing';
+import { EFFECTS } from '@config/constants.js';
+
+// Quality presets' postProcessing settings, from no effects to all of them
+const TIERS = { off: 0, basic: 1, full: 2 };
+
+/**
+ * Effects of each scene, in pass order. An effect is built when the quality
+ * preset's postProcessing is at least its tier; create() receives the pipeline.
+ */
+export const EFFECT_PRESETS = {
+  loading: [
+    // Bloom effect - ethereal glow
+    {
+      name: 'bloom',
+      tier: 'basic',
+      create: () => new BloomEffect({
+        intensity: 0.5,
+        luminanceThreshold: 0.4,
+        luminanceSmoothing: 0.7,
+        mipmapBlur: true
+      })
+    },
+    // Vignette effect - darker edges for focus
+    {
+      name: 'vignette',
+      tier: 'basic',
+      create: () => new VignetteEffect({
+        darkness: 0.6,
+        offset: 0.3
+      })
+    },
+    // Chromatic aberration - subtle color fringing
+    {
+      name: 'chromaticAberration',
+      tier: 'full',
+      create: () => new ChromaticAberrationEffect({
+        offset: new THREE.Vector2(0.001, 0.001),
+        radialModulation: true,
+        modulationOffset: 0.5
+      })
+    },
+    // Film grain noise
+    {
+      name: 'noise',
+      tier: 'full',
+      create: () => {
+        const noise = new NoiseEffect({
+          blendFunction: BlendFunction.OVERLAY,
+          premultiply: true
+        });
+        noise.blendMode.opacity.value = 0.15;
+        return noise;
+      }
+    },
+    // Tone mapping
+    {
+      name: 'toneMapping',
+      tier: 'basic',
+      create: () => new ToneMappingEffect({
+        mode: ToneMappingMode.ACES_FILMIC,
+        resolution: 256,
+        whitePoint: 4.0,
+        middleGrey: 0.6,
+        minLuminance: 0.01,
+        averageLuminance: 0.01,
+        adaptationRate: 1.0
+      })
+    }
+  ],
+  gallery: [
+    // Depth of field on the active letter (see focusOn); sharp everywhere until there is one
+    {
+      name: 'depthOfField',
+      tier: 'full',
+      create: ({ camera }) => new DepthOfFieldEffect(camera, {
+        focusRange: EFFECTS.FOCUS_RANGE,
+        bokehScale: 0
+      })
+    },
+    // Bloom on the selected objects only (the glass cases)
+    {
+      name: 'bloom',
+      tier: 'basic',
+      create: ({ scene, camera, bloomSelection }) => {
+        const bloom = new SelectiveBloomEffect(scene, camera, {
+          intensity: EFFECTS.GLASS_BLOOM_INTENSITY,
+          luminanceThreshold: EFFECTS.GLASS_BLOOM_THRESHOLD,
+          mipmapBlur: true
+        });
+        bloom.selection.set(bloomSelection);
+        return bloom;
+      }
+    },
+    {
+      name: 'vignette',
+      tier: 'basic',
+      create: () => new VignetteEffect({
+        darkness: EFFECTS.VIGNETTE_DARKNESS,
+        offset: 0.3
+      })
+    },
+    // The render pass leaves tone mapping to the effects, so the gallery keeps its ACES look
+    {
+      name: 'toneMapping',
+      tier: 'basic',
+      create: () => new ToneMappingEffect({ mode: ToneMappingMode.ACES_FILMIC })
+    }
+  ]
+};
+
+/**
+ * EffectsPipeline - Post-processing for one scene, following the quality preset
+ *
+ * Builds the scene's effects (EFFECT_PRESETS) into a single EffectPass and
+ * rebuilds it when the preset's postProcessing changes. With no effects left
+ * (postProcessing 'off') the scene is rendered straight to the screen. The
+ * preset's antialias turns on multisampling for the composer's buffers.
+ */
+export class EffectsPipeline {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {Array<Object>} effects - Scene preset from EFFECT_PRESETS
+   * @param {Object} quality - Preset from QUALITY.PRESETS
+   */
+  constructor(renderer, scene, camera, effects, quality) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.presetEffects = effects;
+    this.quality = null;
+
+    this.composer = null;
+    this.effectPass = null;
+    this.effects = new Map(); // name -> effect, for the effects built at this quality
+    this.bloomSelection = []; // Objects the selective bloom applies to
+    this.focusTarget = new THREE.Vector3();
+    this.focusBlur = 0;
+
+    this.setQuality(quality);
+  }
+
+  /**
+   * @param {string} name - Effect name in the scene preset
+   * @returns {Effect|null} Null when the effect is not built at this quality
+   */
+  effect(name) {
+    return this.effects.get(name) ?? null;
+  }
+
+  /**
+   * @param {Object} quality - Preset from QUALITY.PRESETS
+   */
+  setQuality(quality) {
+    const previous = this.quality;
+    this.quality = quality;
+
+    if (previous?.postProcessing !== quality.postProcessing) {
+      this.build(quality.postProcessing);
+    }
+
+    if (this.composer) {
+      const samples = quality.antialias ? 4 : 0;
+      if (this.composer.multisampling !== samples) {
+        this.composer.multisampling = samples;
+      }
+      // Follow the renderer's pixel ratio
+      this.composer.setSize(window.innerWidth, window.innerHeight);
+    }
+  }
+
+  /**
+   * Switch to another scene preset, rebuilding the pass if it differs
+   * @param {Array<Object>} effects - Scene preset from EFFECT_PRESETS
+   */
+  setEffects(effects) {
+    if (effects === this.presetEffects) return;
+    this.presetEffects = effects;
+    this.build(this.quality.postProcessing);
+  }
+
+  build(tier) {
+    if (this.effectPass) {
+      this.composer.removePass(this.effectPass);
+      this.effectPass.dispose(); // Disposes its effects too
+      this.effectPass = null;
+    }
+    this.effects.clear();
+
+    const entries = this.presetEffects.filter(entry => TIERS[entry.tier] <= TIERS[tier]);
+    if (entries.length === 0) return;
+
+    if (!this.composer) {
+      this.composer = new EffectComposer(this.renderer, {
+        multisampling: this.quality.antialias ? 4 : 0
+      });
+      this.composer.addPass(new RenderPass(this.scene, this.camera));
+    }
+
+    entries.forEach(entry => this.effects.set(entry.name, entry.create(this)));
+    this.effectPass = new EffectPass(this.camera, ...this.effects.values());
+    this.composer.addPass(this.effectPass);
+  }
+
+  /**
+   * Apply the selective bloom to these objects (now and after rebuilds)
+   * @param {Array<THREE.Object3D>} objects
+   */
+  setBloomSelection(objects) {
+    this.bloomSelection = objects;
+    this.effect('bloom')?.selection?.set(objects);
+  }
+
+  /**
+   * Keep a point in focus and fade the background blur in, or fade it out
+   * @param {THREE.Vector3|null} position - World position, or null for none
+   * @param {number} delta - Seconds since the last frame
+   */
+  focusOn(position, delta) {
+    const depthOfField = this.effect('depthOfField');
+    if (!depthOfField) return;
+
+    if (position) {
+      this.focusTarget.copy(position);
+      depthOfField.target = this.focusTarget;
+    }
+    const blur = position ? EFFECTS.FOCUS_BLUR : 0;
+    const step = EFFECTS.FOCUS_FADE * delta;
+    this.focusBlur = blur > this.focusBlur
+      ? Math.min(this.focusBlur + step, blur)
+      : Math.max(this.focusBlur - step, blur);
+    depthOfField.bokehScale = this.focusBlur;
+  }
+
+  render(delta) {
+    if (this.effectPass) {
+      this.composer.render(delta);
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  setSize(width, height) {
+    if (this.composer) {
+      this.composer.setSize(width, height);
+    }
+  }
+
+  dispose() {
+    if (this.composer) {
+      this.composer.dispose();
+    }
+    this.composer = null;
+    this.effectPass = null;
+    this.effects.clear();
+  }
+}
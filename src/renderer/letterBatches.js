@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+const STRING_TOP = 50; // Local height the strings run up to (out of view)
+
+const glassMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffffff,
+  transparent: true,
+  opacity: 0.15,
+  side: THREE.DoubleSide,
+  depthWrite: false
+});
+const stringMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 2 });
+
+const _frameMatrix = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+const _center = new THREE.Vector3();
+const _size = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _noRotation = new THREE.Quaternion();
+
+/**
+ * LetterBatches - The glass cases and hanging strings of all letters, in two draw calls
+ *
+ * The cases are one InstancedMesh of a unit box, each instance stretched to
+ * its letter's frame (userData.frame, a box in the letter's local space) and
+ * placed with the letter's world matrix. The strings are one LineSegments
+ * with a segment per letter, from the top of the frame straight up in the
+ * letter's local space. Only the scanned faces stay separate meshes. Both
+ * batches follow the sway animation and inspect mode: call update() once the
+ * letters have moved for the frame, before rendering.
+ */
+export class LetterBatches {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Array<THREE.Group>} letters - From loadLetters
+   */
+  constructor(scene, letters) {
+    this.letters = letters;
+    this.hiddenString = null;
+
+    this.glass = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), glassMaterial, letters.length);
+    this.glass.name = 'Letter glass';
+    this.glass.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.glass.renderOrder = 1; // Render glass after the letters
+    this.glass.frustumCulled = false; // The instances move; cached bounds would go stale
+
+    const positions = new THREE.BufferAttribute(new Float32Array(letters.length * 6), 3);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    const stringGeometry = new THREE.BufferGeometry();
+    stringGeometry.setAttribute('position', positions);
+    this.strings = new THREE.LineSegments(stringGeometry, stringMaterial);
+    this.strings.name = 'Letter strings';
+    this.strings.frustumCulled = false; // Prevent strings from being culled
+
+    scene.add(this.glass, this.strings);
+    this.update();
+
+    console.log(`Letter batches: ${letters.length} glass cases and strings`);
+  }
+
+  /**
+   * Hide one letter's string (e.g. the inspected letter's, which would cut
+   * through the view), or none
+   * @param {THREE.Group|null} letter
+   */
+  hideString(letter) {
+    this.hiddenString = letter;
+  }
+
+  update() {
+    const positions = this.strings.geometry.attributes.position;
+
+    this.letters.forEach((letter, i) => {
+      letter.updateMatrixWorld();
+      const frame = letter.userData.frame;
+
+      frame.getCenter(_center);
+      frame.getSize(_size);
+      _frameMatrix.compose(_center, _noRotation, _size);
+      this.glass.setMatrixAt(i, _matrix.multiplyMatrices(letter.matrixWorld, _frameMatrix));
+
+      _point.set(0, frame.max.y, 0).applyMatrix4(letter.matrixWorld);
+      positions.setXYZ(i * 2, _point.x, _point.y, _point.z);
+      // A hidden string collapses to a point
+      if (letter !== this.hiddenString) {
+        _point.set(0, STRING_TOP, 0).applyMatrix4(letter.matrixWorld);
+      }
+      positions.setXYZ(i * 2 + 1, _point.x, _point.y, _point.z);
+    });
+
+    this.glass.instanceMatrix.needsUpdate = true;
+    positions.needsUpdate = true;
+  }
+}
@@ -0,0 +1,132 @@
+import { STREAMING } from '@config/constants.js';
+import {
+  getPendingScans,
+  loadPlaceholderScan,
+  loadLetterModel,
+  showLetterModel,
+  unloadLetterModel
+} from './letters.js';
+
+/**
+ * LetterStreamer - Loads full letter models around the visitor and frees far ones
+ *
+ * Downloads are queued by distance from the camera: full models of the
+ * letters within STREAMING.LOAD_RADIUS first, nearest first, then the
+ * placeholder scans of every letter. At most STREAMING.MAX_CONCURRENT run at
+ * once. Models beyond STREAMING.UNLOAD_RADIUS go back to their placeholder
+ * and their GPU resources are freed; the gap between the two radii keeps
+ * letters on the edge from loading and unloading over and over. A model that
+ * fails to load is not retried, and its letter keeps the placeholder.
+ */
+export class LetterStreamer {
+  /**
+   * @param {Array<THREE.Group>} letters - From loadLetters
+   */
+  constructor(letters) {
+    this.letters = letters;
+    this.downloads = 0;
+    this.failed = new Set();
+    this.held = null;
+    this.waiting = new Map(); // held letter -> model loaded while it was held
+    this.listeners = new Set();
+    this.onProgress = null; // function(done, total) for the placeholder scans
+
+    this.scansTotal = letters.reduce((total, letter) => total + getPendingScans(letter).length, 0);
+    this.scansDone = 0;
+    this.placeholdersReady = new Promise(resolve => {
+      this.resolvePlaceholders = resolve;
+    });
+    if (this.scansTotal === 0) this.resolvePlaceholders();
+
+    console.log(`Letter streaming: ${letters.length} letters, ${this.scansTotal} placeholder scans`);
+  }
+
+  /**
+   * Subscribe to letters switching between placeholder and full model
+   * @param {function(THREE.Group)} listener - Called with the letter
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Keep a letter exactly as it is (e.g. while it is inspected), or release it
+   * @param {THREE.Group|null} letter
+   */
+  hold(letter) {
+    const released = this.held;
+    this.held = letter;
+    if (released && released !== letter && this.waiting.has(released)) {
+      this.show(released, this.waiting.get(released));
+      this.waiting.delete(released);
+    }
+  }
+
+  /**
+   * Queue downloads and unload far models. Call once per frame.
+   * @param {THREE.Vector3} position - Camera position
+   */
+  update(position) {
+    const byDistance = this.letters
+      .map(letter => ({ letter, distanceSq: position.distanceToSquared(letter.position) }))
+      .sort((a, b) => a.distanceSq - b.distanceSq);
+
+    const unloadSq = STREAMING.UNLOAD_RADIUS * STREAMING.UNLOAD_RADIUS;
+    byDistance.forEach(({ letter, distanceSq }) => {
+      if (distanceSq > unloadSq && letter.userData.detail === 'full' && letter !== this.held) {
+        unloadLetterModel(letter);
+        this.notify(letter);
+      }
+    });
+
+    const loadSq = STREAMING.LOAD_RADIUS * STREAMING.LOAD_RADIUS;
+    for (const { letter, distanceSq } of byDistance) {
+      if (this.downloads >= STREAMING.MAX_CONCURRENT || distanceSq > loadSq) break;
+      if (letter.userData.detail === 'placeholder' && !this.failed.has(letter) && letter !== this.held) {
+        this.loadModel(letter);
+      }
+    }
+
+    for (const { letter } of byDistance) {
+      for (const face of getPendingScans(letter)) {
+        if (this.downloads >= STREAMING.MAX_CONCURRENT) return;
+        this.loadScan(face);
+      }
+    }
+  }
+
+  loadModel(letter) {
+    this.downloads++;
+    loadLetterModel(letter)
+      .then(model => {
+        if (letter === this.held) {
+          this.waiting.set(letter, model);
+        } else {
+          this.show(letter, model);
+        }
+      })
+      .catch(() => this.failed.add(letter))
+      .finally(() => this.downloads--);
+  }
+
+  show(letter, model) {
+    showLetterModel(letter, model);
+    this.notify(letter);
+  }
+
+  loadScan(face) {
+    this.downloads++;
+    loadPlaceholderScan(face).finally(() => {
+      this.downloads--;
+      this.scansDone++;
+      if (this.onProgress) this.onProgress(this.scansDone, this.scansTotal);
+      if (this.scansDone === this.scansTotal) this.resolvePlaceholders();
+    });
+  }
+
+  notify(letter) {
+    this.listeners.forEach(listener => listener(letter));
+  }
+}
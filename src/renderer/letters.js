@@ -1,213 +1,350 @@
 import * as THREE from 'three';
 import { getGLTFLoader } from '@utils/loaders.js';
-import { MODEL, ASSETS } from '@config/constants.js';
+import { loadTileManifest, createPyramid, thumbnailUrl } from '@utils/deepZoom.js';
+import { MODEL, CAMERA, STREAMING } from '@config/constants.js';
+import { addRegionHighlight } from './regionHighlight.js';
 
 const gltfLoader = getGLTFLoader();
-const sharedStringMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 2 });
-
-export async function loadLetters(scene, lettersData, onProgress = null) {
-  const letterObjects = [];
-  const loadPromises = [];
-  let loadedCount = 0;
-  const totalCount = lettersData.length;
-
-  console.log(`Attempting to load ${lettersData.length} GLB files...`);
-
-  lettersData.forEach((data) => {
-    const path = data.model;
-    console.log(`Queueing: ${path}`);
-
-    const loadPromise = new Promise((resolve, reject) => {
-      gltfLoader.load(
-        path,
-        (gltf) => {
-          const model = gltf.scene;
-
-          console.log(`Model ${data.id} loaded successfully!`, model);
-          console.log(`Model ${data.id} children count:`, model.children.length);
-
-          // Apply model scale from constants
-          model.scale.set(MODEL.SCALE, MODEL.SCALE, MODEL.SCALE);
-
-          // Position the model using grid scale from constants
-          model.position.set(
-            data.position.x * MODEL.GRID_SCALE,
-            data.position.y,
-            data.position.z * MODEL.GRID_SCALE
-          );
-
-          // Make the model face the camera (origin)
-          const angle = Math.atan2(
-            data.position.x * MODEL.GRID_SCALE,
-            data.position.z * MODEL.GRID_SCALE
-          );
-          model.rotation.y = angle;
-
-          let hasMesh = false;
-
-          // DEBUG: Log all materials and textures before any modifications
-          model.traverse((child) => {
-            if (child.isMesh) {
-              hasMesh = true;
-              const mat = child.material;
-              console.log(`[BEFORE] Mesh ${child.name} in model ${data.id}:`, {
-                materialName: mat?.name,
-                materialType: mat?.type,
-                hasMap: !!mat?.map,
-                mapImageLoaded: mat?.map?.image ? `${mat.map.image.width}x${mat.map.image.height}` : 'none',
-                mapColorSpace: mat?.map?.colorSpace,
-                baseColor: mat?.color?.getHexString(),
-                transparent: mat?.transparent,
-                opacity: mat?.opacity,
-                hasNormalMap: !!mat?.normalMap,
-                transmission: mat?.transmission,
-                roughness: mat?.roughness,
-                metalness: mat?.metalness
-              });
-            }
-          });
-
-          // Process meshes
-          model.traverse((child) => {
-            if (child.isMesh) {
-              child.castShadow = false;
-              child.receiveShadow = false;
-
-              // Ensure bounding volumes are correct for culling
-              if (child.geometry) {
-                child.geometry.computeBoundingBox();
-                child.geometry.computeBoundingSphere();
-              }
-
-              if (child.material) {
-                // Identify glass by material name
-                const materialName = child.material.name?.toLowerCase() || '';
-                const isGlass = materialName.includes('glass') || materialName.includes('plexi');
-
-                console.log(`Processing ${child.name} (${child.material.name}) - Is Glass? ${isGlass}, Material Type: ${child.material.type}`);
-
-                if (isGlass) {
-                  // GLASS SETTINGS - Create a simple transparent material
-                  child.material = new THREE.MeshBasicMaterial({
-                    color: 0xffffff,
-                    transparent: true,
-                    opacity: 0.15,
-                    side: THREE.DoubleSide,
-                    depthWrite: false
-                  });
-                  child.renderOrder = 1; // Render glass after opaque objects
-                } else {
-                  // LETTER SETTINGS - Material_Front and Material_Back
-                  // Get the existing texture map
-                  const existingMap = child.material.map;
-                  
-                  if (existingMap) {
-                    // Set correct color space for the texture
-                    existingMap.colorSpace = THREE.SRGBColorSpace;
-                    existingMap.needsUpdate = true;
-                    
-                    console.log(`[TEXTURE] ${child.name} has texture: ${existingMap.image?.width}x${existingMap.image?.height}`);
-                    
-                    // Replace with a simple MeshBasicMaterial to eliminate lighting issues
-                    child.material = new THREE.MeshBasicMaterial({
-                      map: existingMap,
-                      side: THREE.DoubleSide,
-                      transparent: false
-                    });
-                  } else {
-                    console.warn(`[NO TEXTURE] ${child.name} has no texture map`);
-                    // Keep original material for non-textured parts
-                    child.material.side = THREE.DoubleSide;
-                  }
-                  
-                  child.renderOrder = 0; // Render letters before glass
-                }
-              }
-            }
-          });
-
-          if (!hasMesh) {
-            console.warn(`Model ${data.id} has no meshes!`);
-          }
 
-          // Calculate bounding box in LOCAL space to find attachment point
-          // We need to temporarily reset transforms to get the local axis-aligned bounds
-          const originalPosition = model.position.clone();
-          const originalRotation = model.rotation.clone();
-          const originalScale = model.scale.clone();
-
-          model.position.set(0, 0, 0);
-          model.rotation.set(0, 0, 0);
-          model.scale.set(1, 1, 1);
-          model.updateMatrixWorld(true);
-
-          const box = new THREE.Box3().setFromObject(model);
-          const attachY = box.max.y;
-
-          // Restore transforms
-          model.position.copy(originalPosition);
-          model.rotation.copy(originalRotation);
-          model.scale.copy(originalScale);
-          model.updateMatrixWorld(true);
-
-          console.log(`Model ${data.id} local bounds - max Y:`, attachY.toFixed(2));
-          console.log(`Attaching string at local Y: ${attachY.toFixed(2)}`);
-
-          const stringGeo = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, attachY, 0), // Top of plexiglass in local space
-            new THREE.Vector3(0, 50, 0) // Reduced from 1000 to fit within camera view
-          ]);
-          const stringLine = new THREE.Line(stringGeo, sharedStringMaterial);
-          stringLine.frustumCulled = false; // Prevent string from being culled
-          model.add(stringLine);
-
-          // Optimization: Removed per-letter point lights to drastically improve performance.
-          // Rely on global scene lighting instead.
-
-          // Store metadata
-          model.userData = {
-            id: data.id,
-            ...data
-          };
-
-          scene.add(model);
-          letterObjects.push(model);
-          loadedCount++;
-          if (onProgress) onProgress(loadedCount, totalCount);
-          resolve(model);
-        },
-        (progress) => {
-          // Optional: handle loading progress
-          if (progress.total > 0) {
-            const percent = (progress.loaded / progress.total) * 100;
-            console.log(`Loading model ${data.id}: ${percent.toFixed(0)}%`);
-          }
-        },
-        (error) => {
-          console.error(`Error loading model ${data.id} from ${path}:`, error);
-          loadedCount++;
-          if (onProgress) onProgress(loadedCount, totalCount);
-          reject(error);
-        }
-      );
+// Placeholders: the scans inside a glass frame the size of the models' plexiglass
+// (the glass cases and strings of all letters are drawn by LetterBatches)
+const placeholderFrame = new THREE.Box3().setFromCenterAndSize(
+  new THREE.Vector3(),
+  new THREE.Vector3(STREAMING.FRAME_WIDTH, STREAMING.FRAME_HEIGHT, STREAMING.FRAME_DEPTH)
+);
+// UVs from the top-left like the models' faces, so region highlights line up
+const faceGeometry = new THREE.PlaneGeometry(1, 1);
+const faceUvs = faceGeometry.attributes.uv;
+for (let i = 0; i < faceUvs.count; i++) {
+  faceUvs.setY(i, 1 - faceUvs.getY(i));
+}
+
+/**
+ * Where to stand to look at a letter: `distance` units in front of it, at
+ * eye height. Nearby letters sway around a rotation of 0 (see the animation
+ * loop in main.js), so their front faces +Z.
+ * @param {THREE.Object3D} letter - Letter model from loadLetters
+ * @param {number} distance - Distance from the letter
+ * @param {THREE.Vector3} [target] - Vector to write into
+ * @returns {THREE.Vector3}
+ */
+export function getLetterViewpoint(letter, distance, target = new THREE.Vector3()) {
+  return target.set(
+    letter.userData.position.x * MODEL.GRID_SCALE,
+    CAMERA.EYE_HEIGHT,
+    letter.userData.position.z * MODEL.GRID_SCALE + distance
+  );
+}
+
+/**
+ * Create every letter as a placeholder and add it to the scene. Each letter
+ * is a group at its grid position; its content is swapped between the
+ * placeholder and the full model by a LetterStreamer, so the group can be
+ * moved and referenced the whole time.
+ * @param {THREE.Scene} scene
+ * @param {Array<Object>} lettersData - Catalogue entries
+ * @returns {Promise<Array<THREE.Group>>} Letters, in catalogue order
+ */
+export async function loadLetters(scene, lettersData) {
+  // Placeholder scans come from the tile pyramids when they have been built
+  const manifest = await loadTileManifest();
+
+  const letterObjects = lettersData.map((data) => {
+    const letter = createLetter(data, manifest);
+    scene.add(letter);
+    return letter;
+  });
+
+  console.log(`Created ${letterObjects.length} letter placeholders`);
+  return letterObjects;
+}
+
+function createLetter(data, manifest) {
+  const letter = new THREE.Group();
+  letter.name = `Letter ${data.id}`;
+
+  // Apply model scale from constants
+  letter.scale.set(MODEL.SCALE, MODEL.SCALE, MODEL.SCALE);
+
+  // Position the letter using grid scale from constants
+  letter.position.set(
+    data.position.x * MODEL.GRID_SCALE,
+    data.position.y,
+    data.position.z * MODEL.GRID_SCALE
+  );
+
+  // Make the letter face the camera (origin)
+  letter.rotation.y = Math.atan2(
+    data.position.x * MODEL.GRID_SCALE,
+    data.position.z * MODEL.GRID_SCALE
+  );
+
+  const placeholder = createPlaceholder(data, manifest);
+  letter.add(placeholder);
+
+  // Store metadata (bounds: unscaled, unrotated local box, used for collision;
+  // frame: local box of the glass case). Both are the placeholder's until the model is in.
+  letter.userData = {
+    id: data.id,
+    ...data,
+    bounds: placeholderFrame.clone(),
+    frame: placeholderFrame,
+    placeholder,
+    fullModel: null,
+    detail: 'placeholder' // 'placeholder' | 'loading' | 'full'
+  };
+
+  return letter;
+}
+
+function createPlaceholder(data, manifest) {
+  const placeholder = new THREE.Group();
+  placeholder.name = 'Placeholder';
+
+  [['front', data.frontImage], ['back', data.backImage]].forEach(([side, url]) => {
+    if (!url) return;
+    const material = new THREE.MeshBasicMaterial({ color: STREAMING.PLACEHOLDER_COLOR, side: THREE.FrontSide });
+    addRegionHighlight(material, side);
+
+    const face = new THREE.Mesh(faceGeometry, material);
+    face.name = side === 'front' ? 'Placeholder_Front' : 'Placeholder_Back';
+    // Just inside the glass, the back turned to read from behind
+    face.position.z = side === 'front' ? STREAMING.FRAME_DEPTH / 4 : -STREAMING.FRAME_DEPTH / 4;
+    face.rotation.y = side === 'front' ? 0 : Math.PI;
+    fitFace(face, 1 / Math.SQRT2); // Portrait paper until the scan is in
+
+    const path = new URL(url, window.location.href).pathname;
+    face.userData.scan = {
+      url: manifest[path] ? thumbnailUrl(createPyramid(manifest[path]), STREAMING.THUMBNAIL_SIZE) : url,
+      state: 'none' // 'none' | 'loading' | 'ready' | 'failed'
+    };
+    placeholder.add(face);
+  });
+
+  return placeholder;
+}
+
+// Largest rectangle of the scan's aspect ratio that fits inside the frame
+function fitFace(face, aspect) {
+  const width = Math.min(STREAMING.FRAME_WIDTH, STREAMING.FRAME_HEIGHT * aspect) * STREAMING.FACE_FILL;
+  face.scale.set(width, width / aspect, 1);
+}
+
+/**
+ * Scans of a letter's placeholder that have not been requested yet
+ * @returns {Array<THREE.Mesh>}
+ */
+export function getPendingScans(letter) {
+  return letter.userData.placeholder.children.filter(child => child.userData.scan?.state === 'none');
+}
+
+/**
+ * Load a placeholder scan, downscaled to STREAMING.THUMBNAIL_SIZE so all of
+ * them together stay small on the GPU
+ * @param {THREE.Mesh} face - From getPendingScans
+ */
+export async function loadPlaceholderScan(face) {
+  const scan = face.userData.scan;
+  scan.state = 'loading';
+  try {
+    const response = await fetch(scan.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob(), {
+      resizeWidth: STREAMING.THUMBNAIL_SIZE,
+      resizeQuality: 'medium'
     });
 
-    loadPromises.push(loadPromise);
+    // ImageBitmaps are uploaded as they are (no flipY); the face UVs start at the top
+    const texture = new THREE.Texture(bitmap);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.flipY = false;
+    texture.needsUpdate = true;
+
+    face.material.map = texture;
+    face.material.color.set(0xffffff);
+    face.material.needsUpdate = true;
+    fitFace(face, bitmap.width / bitmap.height);
+    scan.state = 'ready';
+  } catch (error) {
+    console.warn(`Placeholder scan ${scan.url} failed to load:`, error);
+    scan.state = 'failed';
+  }
+}
+
+/**
+ * Load a letter's full model, ready to be swapped in with showLetterModel
+ * @param {THREE.Group} letter - From loadLetters
+ * @returns {Promise<THREE.Group>} The model
+ */
+export function loadLetterModel(letter) {
+  const data = letter.userData;
+  data.detail = 'loading';
+
+  return new Promise((resolve, reject) => {
+    gltfLoader.load(
+      data.model,
+      (gltf) => {
+        const model = gltf.scene;
+        console.log(`Model ${data.id} loaded successfully!`, model);
+        prepareModel(model, data);
+        resolve(model);
+      },
+      undefined,
+      (error) => {
+        console.error(`Error loading model ${data.id} from ${data.model}:`, error);
+        data.detail = 'placeholder';
+        reject(error);
+      }
+    );
+  });
+}
+
+function prepareModel(model, data) {
+  let hasMesh = false;
+  const glassMeshes = [];
+
+  // DEBUG: Log all materials and textures before any modifications
+  model.traverse((child) => {
+    if (child.isMesh) {
+      hasMesh = true;
+      const mat = child.material;
+      console.log(`[BEFORE] Mesh ${child.name} in model ${data.id}:`, {
+        materialName: mat?.name,
+        materialType: mat?.type,
+        hasMap: !!mat?.map,
+        mapImageLoaded: mat?.map?.image ? `${mat.map.image.width}x${mat.map.image.height}` : 'none',
+        mapColorSpace: mat?.map?.colorSpace,
+        baseColor: mat?.color?.getHexString(),
+        transparent: mat?.transparent,
+        opacity: mat?.opacity,
+        hasNormalMap: !!mat?.normalMap,
+        transmission: mat?.transmission,
+        roughness: mat?.roughness,
+        metalness: mat?.metalness
+      });
+    }
+  });
+
+  // Process meshes
+  model.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = false;
+      child.receiveShadow = false;
+
+      // Ensure bounding volumes are correct for culling
+      if (child.geometry) {
+        child.geometry.computeBoundingBox();
+        child.geometry.computeBoundingSphere();
+      }
+
+      if (child.material) {
+        // Identify glass by material name
+        const materialName = child.material.name?.toLowerCase() || '';
+        const isGlass = materialName.includes('glass') || materialName.includes('plexi');
+
+        console.log(`Processing ${child.name} (${child.material.name}) - Is Glass? ${isGlass}, Material Type: ${child.material.type}`);
+
+        if (isGlass) {
+          // GLASS: drawn with all the other cases by LetterBatches; only its box is kept
+          glassMeshes.push(child);
+        } else {
+          // LETTER SETTINGS - Material_Front and Material_Back
+          // Get the existing texture map
+          const existingMap = child.material.map;
+
+          if (existingMap) {
+            // Set correct color space for the texture
+            existingMap.colorSpace = THREE.SRGBColorSpace;
+            existingMap.needsUpdate = true;
+
+            console.log(`[TEXTURE] ${child.name} has texture: ${existingMap.image?.width}x${existingMap.image?.height}`);
+
+            // Replace with a simple MeshBasicMaterial to eliminate lighting issues
+            child.material = new THREE.MeshBasicMaterial({
+              map: existingMap,
+              side: THREE.DoubleSide,
+              transparent: false
+            });
+
+            // Transcription lines are highlighted on the matching scan
+            addRegionHighlight(child.material, materialName.includes('back') ? 'back' : 'front');
+          } else {
+            console.warn(`[NO TEXTURE] ${child.name} has no texture map`);
+            // Keep original material for non-textured parts
+            child.material.side = THREE.DoubleSide;
+          }
+
+          child.renderOrder = 0; // Render letters before glass
+        }
+      }
+    }
   });
 
-  // Wait for all models to load, but don't fail if some models are missing
-  const results = await Promise.allSettled(loadPromises);
-  
-  // Log results
-  const successful = results.filter(r => r.status === 'fulfilled').length;
-  const failed = results.filter(r => r.status === 'rejected');
-  
-  console.log(`Loaded ${successful}/${lettersData.length} letter models`);
-  
-  if (failed.length > 0) {
-    console.warn(`Failed to load ${failed.length} models:`, failed.map(r => r.reason));
+  if (!hasMesh) {
+    console.warn(`Model ${data.id} has no meshes!`);
   }
-  
-  // Return whatever models were successfully loaded
-  return letterObjects;
+
+  // Glass case as a box in model space
+  model.updateMatrixWorld(true);
+  const frame = new THREE.Box3();
+  glassMeshes.forEach(glass => {
+    frame.union(glass.geometry.boundingBox.clone().applyMatrix4(glass.matrixWorld));
+    glass.removeFromParent();
+    glass.geometry.dispose();
+    glass.material.dispose();
+  });
+  model.userData.frame = frame.isEmpty() ? null : frame;
+
+  // The exported punctual lights have nothing to light (every material is
+  // unlit); streamed in and out, they would only churn the renderer's light setup
+  const lights = [];
+  model.traverse((child) => {
+    if (child.isLight) lights.push(child);
+  });
+  lights.forEach(light => light.removeFromParent());
+}
+
+/**
+ * Swap a loaded model in for the placeholder
+ * @param {THREE.Group} letter - From loadLetters
+ * @param {THREE.Group} model - From loadLetterModel
+ */
+export function showLetterModel(letter, model) {
+  // The model's own local box (the group carries position, rotation and scale)
+  model.updateMatrixWorld(true);
+  letter.userData.frame = model.userData.frame ?? placeholderFrame;
+  const box = new THREE.Box3().setFromObject(model).union(letter.userData.frame);
+  letter.userData.bounds = box;
+  console.log(`Model ${letter.userData.id} local bounds - max Y:`, box.max.y.toFixed(2));
+
+  letter.userData.placeholder.visible = false;
+  letter.add(model);
+  letter.userData.fullModel = model;
+  letter.userData.detail = 'full';
+}
+
+/**
+ * Put the placeholder back and free the model's GPU resources
+ * @param {THREE.Group} letter - From loadLetters
+ */
+export function unloadLetterModel(letter) {
+  const model = letter.userData.fullModel;
+  if (!model) return;
+
+  letter.remove(model);
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry?.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach(material => {
+      material?.map?.dispose();
+      material?.dispose();
+    });
+  });
+
+  letter.userData.fullModel = null;
+  letter.userData.frame = placeholderFrame;
+  letter.userData.placeholder.visible = true;
+  letter.userData.detail = 'placeholder';
+  console.log(`Model ${letter.userData.id} unloaded`);
 }
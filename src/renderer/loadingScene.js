@@ -1,255 +1,114 @@
 import * as THREE from 'three';
-import { 
-  EffectComposer, 
-  EffectPass, 
-  RenderPass,
-  BloomEffect,
-  VignetteEffect,
-  ChromaticAberrationEffect,
-  NoiseEffect,
-  BlendFunction,
-  ToneMappingEffect,
-  ToneMappingMode
-} from 'postprocessing';
+import { variableSpeedEase, dampVector3 } from '@utils/easing.js';
+import { setParticleDensity } from './particles.js';
+import { EffectsPipeline, EFFECT_PRESETS } from './effectsPipeline.js';
+import { fetchSceneManifest, loadSceneAssets } from './sceneAssets.js';
+import { loadCameraPath } from '@data/cameraPath.js';
+import { loadIntroSequence } from '@data/introSequence.js';
+import { introNarration } from '@audio/introNarration.js';
+import { introCards } from '@interaction/introCards.js';
+import { resolveLocalized } from '@utils/i18n.js';
+import { ASSETS } from '@config/constants.js';
+
+// Chapter length for camera paths that give none
+const DEFAULT_CHAPTER_DURATION = 18;
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
 
 /**
- * LegacyJSONLoader - Parses old Three.js JSON format (formatVersion 3.x)
+ * Load the intro sequence (ASSETS.INTRO_SEQUENCE) and the camera paths of its chapters.
+ * A chapter whose path fails to load keeps the camera where it is.
  */
-class LegacyJSONLoader {
-  parse(json) {
-    const geometry = new THREE.BufferGeometry();
-    
-    if (!json.vertices || !json.faces) {
-      console.warn('Invalid JSON format - missing vertices or faces');
-      return { geometry, materials: [] };
-    }
-
-    const vertices = json.vertices;
-    const faces = json.faces;
-    const normals = json.normals || [];
-    const uvs = json.uvs || [];
-
-    const positions = [];
-    const normalArray = [];
-    const uvArray = [];
-    const groups = [];
-
-    let currentMaterialIndex = 0;
-    let currentGroupStart = 0;
-    let currentGroupCount = 0;
-
-    let i = 0;
-    while (i < faces.length) {
-      const type = faces[i++];
-      
-      const isQuad = (type & 1) !== 0;
-      const hasMaterial = (type & 2) !== 0;
-      const hasFaceVertexUv = (type & 8) !== 0;
-      const hasFaceNormal = (type & 16) !== 0;
-      const hasFaceVertexNormal = (type & 32) !== 0;
-      const hasFaceColor = (type & 64) !== 0;
-      const hasFaceVertexColor = (type & 128) !== 0;
-
-      const numVertices = isQuad ? 4 : 3;
-      const vertexIndices = [];
-
-      // Read vertex indices
-      for (let v = 0; v < numVertices; v++) {
-        vertexIndices.push(faces[i++]);
-      }
-
-      // Read material index
-      let materialIndex = 0;
-      if (hasMaterial) {
-        materialIndex = faces[i++];
-      }
-
-      // Track material groups
-      if (materialIndex !== currentMaterialIndex) {
-        if (currentGroupCount > 0) {
-          groups.push({
-            start: currentGroupStart,
-            count: currentGroupCount,
-            materialIndex: currentMaterialIndex
-          });
-        }
-        currentMaterialIndex = materialIndex;
-        currentGroupStart = positions.length / 3;
-        currentGroupCount = 0;
-      }
-
-      // Read face vertex UVs
-      const faceUvs = [];
-      if (hasFaceVertexUv) {
-        for (let v = 0; v < numVertices; v++) {
-          const uvIndex = faces[i++];
-          if (uvs.length > uvIndex * 2 + 1) {
-            faceUvs.push([uvs[uvIndex * 2], uvs[uvIndex * 2 + 1]]);
-          } else {
-            faceUvs.push([0, 0]);
-          }
-        }
-      }
-
-      // Read face normal
-      if (hasFaceNormal) {
-        i++; // Skip face normal index
-      }
-
-      // Read face vertex normals
-      const faceNormals = [];
-      if (hasFaceVertexNormal) {
-        for (let v = 0; v < numVertices; v++) {
-          const normalIndex = faces[i++];
-          if (normals.length > normalIndex * 3 + 2) {
-            faceNormals.push([
-              normals[normalIndex * 3],
-              normals[normalIndex * 3 + 1],
-              normals[normalIndex * 3 + 2]
-            ]);
-          } else {
-            faceNormals.push([0, 1, 0]);
-          }
-        }
-      }
-
-      // Read face color
-      if (hasFaceColor) {
-        i++;
-      }
-
-      // Read face vertex colors
-      if (hasFaceVertexColor) {
-        for (let v = 0; v < numVertices; v++) {
-          i++;
+async function loadChapters() {
+  const baseUrl = new URL(ASSETS.INTRO_SEQUENCE, window.location.href);
+  const resolve = (path) => new URL(path, baseUrl).href;
+  const sequence = loadIntroSequence(await fetchJSON(baseUrl.href));
+
+  return Promise.all(sequence.chapters.map(async (chapter) => {
+    let path = null;
+    if (chapter.path) {
+      try {
+        path = loadCameraPath(await fetchJSON(resolve(chapter.path)));
+        // The camera flies through positions; waypoints that only name a letter are for the guided tour
+        const index = path.waypoints.findIndex(waypoint => !waypoint.position);
+        if (index !== -1) {
+          path = null;
+          throw new Error(`waypoint #${index} has no position`);
         }
+      } catch (error) {
+        console.error(`Intro chapter ${chapter.id}: could not load its camera path:`, error);
       }
-
-      // Get vertex positions
-      const getVertex = (index) => {
-        return [
-          vertices[index * 3],
-          vertices[index * 3 + 1],
-          vertices[index * 3 + 2]
-        ];
-      };
-
-      // Add triangles
-      const addTriangle = (a, b, c) => {
-        const va = getVertex(vertexIndices[a]);
-        const vb = getVertex(vertexIndices[b]);
-        const vc = getVertex(vertexIndices[c]);
-
-        positions.push(...va, ...vb, ...vc);
-
-        if (faceNormals.length > 0) {
-          normalArray.push(...faceNormals[a], ...faceNormals[b], ...faceNormals[c]);
-        }
-
-        if (faceUvs.length > 0) {
-          uvArray.push(...faceUvs[a], ...faceUvs[b], ...faceUvs[c]);
-        }
-
-        currentGroupCount += 3;
-      };
-
-      // Triangle
-      addTriangle(0, 1, 2);
-
-      // If quad, add second triangle
-      if (isQuad) {
-        addTriangle(0, 2, 3);
-      }
-    }
-
-    // Add final group
-    if (currentGroupCount > 0) {
-      groups.push({
-        start: currentGroupStart,
-        count: currentGroupCount,
-        materialIndex: currentMaterialIndex
-      });
-    }
-
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    
-    if (normalArray.length > 0) {
-      geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normalArray, 3));
-    } else {
-      geometry.computeVertexNormals();
     }
 
-    if (uvArray.length > 0) {
-      geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvArray, 2));
+    const effects = EFFECT_PRESETS[chapter.effects ?? 'loading'];
+    if (!effects) {
+      console.warn(`Intro chapter ${chapter.id}: unknown effects preset "${chapter.effects}", using "loading"`);
     }
 
-    // Set up groups for multi-material
-    groups.forEach(group => {
-      geometry.addGroup(group.start, group.count, group.materialIndex);
-    });
-
-    // Parse materials
-    const materials = [];
-    if (json.materials) {
-      json.materials.forEach((mat) => {
-        const material = new THREE.MeshLambertMaterial({
-          side: THREE.DoubleSide
-        });
-
-        if (mat.colorDiffuse) {
-          material.color.setRGB(mat.colorDiffuse[0], mat.colorDiffuse[1], mat.colorDiffuse[2]);
-        }
-
-        if (mat.opacity !== undefined && mat.opacity < 1) {
-          material.transparent = true;
-          material.opacity = mat.opacity;
-        }
-
-        materials.push(material);
-      });
-    }
-
-    if (materials.length === 0) {
-      materials.push(new THREE.MeshLambertMaterial({ color: 0x888888, side: THREE.DoubleSide }));
-    }
-
-    return { geometry, materials };
-  }
+    return {
+      id: chapter.id,
+      path,
+      duration: chapter.duration ?? path?.duration ?? DEFAULT_CHAPTER_DURATION,
+      // URL or map of language to URL; the language is picked when the chapter starts
+      narration: typeof chapter.narration === 'string'
+        ? resolve(chapter.narration)
+        : chapter.narration && Object.fromEntries(Object.entries(chapter.narration).map(([code, url]) => [code, resolve(url)])),
+      effects: effects ?? EFFECT_PRESETS.loading,
+      cards: chapter.cards
+    };
+  }));
 }
 
 /**
  * LoadingScene - Creates an immersive 3D loading experience with the Sednaya building
+ *
+ * Once the models are in, it plays the chapters of the intro sequence: each
+ * one can fly a camera path, play a voice-over, show timed text cards and
+ * switch post-processing presets. next() moves on to the following chapter,
+ * skip() ends the intro.
+ *
+ * It draws with the gallery's renderer (one GL context for the whole app):
+ * the app calls update() and render() each frame until it hands over.
  */
 export class LoadingScene {
-  constructor(container) {
-    this.container = container;
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Shared renderer; its size and pixel ratio are left to the app
+   * @param {Object} quality - Preset from QUALITY.PRESETS; change it later with applyQuality()
+   */
+  constructor(renderer, quality) {
+    this.renderer = renderer;
+    this.quality = quality;
     this.scene = null;
     this.camera = null;
-    this.renderer = null;
-    this.composer = null;
+    this.effects = null;
     this.isActive = false;
     this.isDisposed = false;
-    this.animationId = null;
-    this.buildingCenter = new THREE.Vector3();
     this.onComplete = null;
-    this.loadedAssets = 0;
-    this.totalAssets = 6;
-    this.jsonLoader = new LegacyJSONLoader();
+    this.onProgress = null; // (loaded bytes, total bytes) while the scene's models load
+    this.onChapterChange = null; // (chapter, index, count) when a chapter starts
+    this.isFinished = false;
+
+    // Intro chapters, from the intro sequence
+    this.chapters = [];
+    this.chapterIndex = -1;
     
     // Visual effects references
-    this.bloomEffect = null;
-    this.vignetteEffect = null;
-    this.chromaticAberrationEffect = null;
-    this.noiseEffect = null;
     this.particles = null;
     this.dustParticles = null;
     this.dynamicLights = [];
     
-    // Camera transition state
+    // Camera transition state of the current chapter
+    // Path, timing and look-at target come from the chapter's camera path file
     this.cameraTransition = {
       active: false,
       progress: 0,
-      duration: 18000, // Slightly longer for more dramatic effect
+      duration: 0,
       startTime: 0,
       lookAtTarget: new THREE.Vector3(0, 0, 0),
       currentLookAt: new THREE.Vector3(0, 0, 0),
@@ -258,6 +117,7 @@ export class LoadingScene {
     };
     
     this.cameraSpline = null;
+    this.lookAtSpline = null;
     this.lastTime = performance.now();
     
     this.init();
@@ -279,16 +139,9 @@ export class LoadingScene {
     );
     this.camera.position.set(-100.93, 200.32, 66.46);
 
-    this.renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      alpha: true,
-      powerPreference: 'high-performance'
-    });
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    // The intro grades its own exposure; the gallery's comes back on dispose()
+    this.previousExposure = this.renderer.toneMappingExposure;
     this.renderer.toneMappingExposure = 0.8;
-    this.container.appendChild(this.renderer.domElement);
 
     // Setup post-processing
     this.setupPostProcessing();
@@ -298,6 +151,8 @@ export class LoadingScene {
     
     // Create particle systems
     this.createParticles();
+    setParticleDensity(this.dustParticles, this.quality.particles);
+    setParticleDensity(this.particles, this.quality.particles);
 
     // Handle window resize
     this.boundResize = this.onWindowResize.bind(this);
@@ -308,62 +163,20 @@ export class LoadingScene {
   }
 
   setupPostProcessing() {
-    this.composer = new EffectComposer(this.renderer);
-    
-    // Render pass
-    const renderPass = new RenderPass(this.scene, this.camera);
-    this.composer.addPass(renderPass);
-    
-    // Bloom effect - ethereal glow
-    this.bloomEffect = new BloomEffect({
-      intensity: 0.5,
-      luminanceThreshold: 0.4,
-      luminanceSmoothing: 0.7,
-      mipmapBlur: true
-    });
-    
-    // Vignette effect - darker edges for focus
-    this.vignetteEffect = new VignetteEffect({
-      darkness: 0.6,
-      offset: 0.3
-    });
-    
-    // Chromatic aberration - subtle color fringing
-    this.chromaticAberrationEffect = new ChromaticAberrationEffect({
-      offset: new THREE.Vector2(0.001, 0.001),
-      radialModulation: true,
-      modulationOffset: 0.5
-    });
-    
-    // Film grain noise
-    this.noiseEffect = new NoiseEffect({
-      blendFunction: BlendFunction.OVERLAY,
-      premultiply: true
-    });
-    this.noiseEffect.blendMode.opacity.value = 0.15;
-    
-    // Tone mapping
-    const toneMappingEffect = new ToneMappingEffect({
-      mode: ToneMappingMode.ACES_FILMIC,
-      resolution: 256,
-      whitePoint: 4.0,
-      middleGrey: 0.6,
-      minLuminance: 0.01,
-      averageLuminance: 0.01,
-      adaptationRate: 1.0
-    });
-    
-    // Add effects pass
-    const effectPass = new EffectPass(
-      this.camera,
-      this.bloomEffect,
-      this.vignetteEffect,
-      this.chromaticAberrationEffect,
-      this.noiseEffect,
-      toneMappingEffect
-    );
-    
-    this.composer.addPass(effectPass);
+    this.effects = new EffectsPipeline(this.renderer, this.scene, this.camera, EFFECT_PRESETS.loading, this.quality);
+  }
+
+  /**
+   * Switch to another quality preset while the scene runs
+   * @param {Object} quality - Preset from QUALITY.PRESETS
+   */
+  applyQuality(quality) {
+    this.quality = quality;
+    if (!this.effects) return;
+
+    this.effects.setQuality(quality);
+    setParticleDensity(this.dustParticles, quality.particles);
+    setParticleDensity(this.particles, quality.particles);
   }
 
   setupLighting() {
@@ -478,19 +291,22 @@ export class LoadingScene {
     const time = performance.now() * 0.001;
     
     // Update bloom intensity - increases as we get closer
-    if (this.bloomEffect) {
-      this.bloomEffect.intensity = 0.3 + progress * 0.8;
+    const bloomEffect = this.effects.effect('bloom');
+    if (bloomEffect) {
+      bloomEffect.intensity = 0.3 + progress * 0.8;
     }
     
     // Update vignette - gets tighter as we approach
-    if (this.vignetteEffect) {
-      this.vignetteEffect.darkness = 0.5 + progress * 0.3;
+    const vignetteEffect = this.effects.effect('vignette');
+    if (vignetteEffect) {
+      vignetteEffect.darkness = 0.5 + progress * 0.3;
     }
     
     // Chromatic aberration pulses
-    if (this.chromaticAberrationEffect) {
+    const chromaticAberrationEffect = this.effects.effect('chromaticAberration');
+    if (chromaticAberrationEffect) {
       const aberrationIntensity = 0.0005 + Math.sin(time * 2) * 0.0003;
-      this.chromaticAberrationEffect.offset.set(aberrationIntensity, aberrationIntensity);
+      chromaticAberrationEffect.offset.set(aberrationIntensity, aberrationIntensity);
     }
     
     // Update dynamic lights
@@ -516,7 +332,9 @@ export class LoadingScene {
     // Animate dust particles
     if (this.dustParticles) {
       const positions = this.dustParticles.geometry.attributes.position.array;
-      for (let i = 0; i < positions.length; i += 3) {
+      // Only the particles drawn at this quality
+      const drawn = Math.min(this.dustParticles.geometry.drawRange.count * 3, positions.length);
+      for (let i = 0; i < drawn; i += 3) {
         // Gentle floating motion
         positions[i] += Math.sin(time + i) * 0.02;
         positions[i + 1] += Math.cos(time * 0.5 + i) * 0.01 + 0.005;
@@ -560,291 +378,148 @@ export class LoadingScene {
     this.renderer.toneMappingExposure = 0.6 + progress * 0.6;
   }
 
-  loadAssets() {
-    const loader = new THREE.FileLoader();
-    const textureLoader = new THREE.TextureLoader();
-
-    // Load building first to get center
-    loader.load('/3d_sednaya/building.js', (text) => {
-      try {
-        const json = JSON.parse(text);
-        const { geometry, materials } = this.jsonLoader.parse(json);
-        
-        geometry.computeBoundingBox();
-        geometry.boundingBox.getCenter(this.buildingCenter);
-        
-        const mesh = new THREE.Mesh(geometry, materials.length > 1 ? materials : materials[0]);
-        mesh.position.sub(this.buildingCenter);
-        this.scene.add(mesh);
-        
-        console.log('Building loaded successfully');
-        this.assetLoaded();
-        
-        // Load other assets after building
-        this.loadDependentAssets(loader, textureLoader);
-      } catch (e) {
-        console.error('Error parsing building:', e);
-        this.assetLoaded();
-        this.loadDependentAssets(loader, textureLoader);
-      }
-    }, undefined, (error) => {
-      console.error('Error loading building:', error);
-      this.assetLoaded();
-      this.loadDependentAssets(loader, textureLoader);
-    });
-  }
-
-  loadDependentAssets(loader, textureLoader) {
-    // Load roof
-    loader.load('/3d_sednaya/building-roof.js', (text) => {
-      try {
-        const json = JSON.parse(text);
-        const { geometry, materials } = this.jsonLoader.parse(json);
-        const mesh = new THREE.Mesh(geometry, materials.length > 1 ? materials : materials[0]);
-        mesh.position.sub(this.buildingCenter);
-        this.scene.add(mesh);
-        console.log('Roof loaded');
-      } catch (e) {
-        console.error('Error parsing roof:', e);
-      }
-      this.assetLoaded();
-    }, undefined, () => this.assetLoaded());
-
-    // Load terrain with texture
-    loader.load('/3d_sednaya/terrain.js', (text) => {
+  /**
+   * Load the models listed in the intro's scene manifest (ASSETS.INTRO_SCENE)
+   * and the intro sequence, then play its first chapter. Assets that fail to
+   * load are left out; without a sequence the intro ends straight away.
+   */
+  async loadAssets() {
+    const loadScene = async () => {
       try {
-        const json = JSON.parse(text);
-        const { geometry } = this.jsonLoader.parse(json);
-        
-        textureLoader.load('/3d_sednaya/panchromatic.jpg', (texture) => {
-          const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            side: THREE.DoubleSide
-          });
-          const mesh = new THREE.Mesh(geometry, material);
-          mesh.position.sub(this.buildingCenter);
-          this.scene.add(mesh);
-          console.log('Terrain loaded with texture');
-        }, undefined, () => {
-          const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ 
-            color: 0x3d3d3d, 
-            side: THREE.DoubleSide 
-          }));
-          mesh.position.sub(this.buildingCenter);
-          this.scene.add(mesh);
+        const manifest = await fetchSceneManifest(ASSETS.INTRO_SCENE);
+        await loadSceneAssets(manifest, ASSETS.INTRO_SCENE, this.scene, (loaded, total) => {
+          if (this.onProgress) this.onProgress(loaded, total);
         });
-      } catch (e) {
-        console.error('Error parsing terrain:', e);
+      } catch (error) {
+        console.error('Loading scene: could not load the scene manifest:', error);
       }
-      this.assetLoaded();
-    }, undefined, () => this.assetLoaded());
+    };
 
-    // Load white building
-    loader.load('/3d_sednaya/whiteBuilding.js', (text) => {
-      try {
-        const json = JSON.parse(text);
-        const { geometry, materials } = this.jsonLoader.parse(json);
-        const mesh = new THREE.Mesh(geometry, materials.length > 1 ? materials : materials[0]);
-        mesh.position.sub(this.buildingCenter);
-        this.scene.add(mesh);
-        console.log('White building loaded');
-      } catch (e) {
-        console.error('Error parsing white building:', e);
-      }
-      this.assetLoaded();
-    }, undefined, () => this.assetLoaded());
+    const [, chapters] = await Promise.all([
+      loadScene(),
+      loadChapters().catch(error => {
+        console.error('Loading scene: could not load the intro sequence:', error);
+        return [];
+      })
+    ]);
 
-    // Load corridor
-    loader.load('/3d_sednaya/corridor.js', (text) => {
-      try {
-        const json = JSON.parse(text);
-        const { geometry } = this.jsonLoader.parse(json);
-        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ 
-          color: 0x555555, 
-          side: THREE.DoubleSide 
-        }));
-        mesh.position.sub(this.buildingCenter);
-        this.scene.add(mesh);
-        console.log('Corridor loaded');
-      } catch (e) {
-        console.error('Error parsing corridor:', e);
-      }
-      this.assetLoaded();
-    }, undefined, () => this.assetLoaded());
+    if (this.isDisposed || this.isFinished) return;
 
-    // Load group cell
-    loader.load('/3d_sednaya/groupcell-d.js', (text) => {
-      try {
-        const json = JSON.parse(text);
-        const { geometry } = this.jsonLoader.parse(json);
-        const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ 
-          color: 0x444444, 
-          side: THREE.DoubleSide 
-        }));
-        mesh.position.sub(this.buildingCenter);
-        this.scene.add(mesh);
-        console.log('Group cell loaded');
-      } catch (e) {
-        console.error('Error parsing group cell:', e);
-      }
-      this.assetLoaded();
-    }, undefined, () => this.assetLoaded());
+    this.chapters = chapters;
+    if (chapters.length === 0) {
+      this.finish();
+      return;
+    }
+    console.log(`All assets loaded, starting the intro (${chapters.length} chapter(s))`);
+    this.startChapter(0);
   }
 
-  assetLoaded() {
-    this.loadedAssets++;
-    console.log(`Loading scene: ${this.loadedAssets}/${this.totalAssets} assets`);
-    
-    if (this.loadedAssets >= this.totalAssets && !this.cameraTransition.active) {
-      console.log('All assets loaded, starting camera transition');
-      this.startCameraTransition();
+  startChapter(index) {
+    const chapter = this.chapters[index];
+    const transition = this.cameraTransition;
+    this.chapterIndex = index;
+
+    if (chapter.path) {
+      const { waypoints } = chapter.path;
+      // Camera waypoints (e.g. flying into the building, see public/intro/flythrough.json)
+      const cameraWaypoints = waypoints.map(waypoint => new THREE.Vector3().fromArray(waypoint.position));
+
+      // Create smooth spline
+      this.cameraSpline = new THREE.CatmullRomCurve3(cameraWaypoints);
+      this.cameraSpline.curveType = 'centripetal';
+
+      // Recorded paths carry their own look-at targets; follow those when every waypoint has one
+      this.lookAtSpline = waypoints.every(waypoint => waypoint.lookAt)
+        ? new THREE.CatmullRomCurve3(waypoints.map(waypoint => new THREE.Vector3().fromArray(waypoint.lookAt)), false, 'centripetal')
+        : null;
+      transition.lookAtTarget.fromArray(chapter.path.lookAt ?? [0, 0, 0]);
+    } else {
+      // No path: the camera holds
+      this.cameraSpline = null;
+      this.lookAtSpline = null;
     }
-  }
 
-  startCameraTransition() {
-    // Camera transition waypoints - flying into the building (expanded for smoother motion)
-    const cameraWaypoints = [
-      // High aerial view - establishing shot
-      new THREE.Vector3(-100.93, 200.32, 66.46),
-      new THREE.Vector3(-98.50, 192.00, 64.50),
-      new THREE.Vector3(-96.00, 183.50, 62.80),
-      new THREE.Vector3(-94.20, 177.60, 61.40),
-      new THREE.Vector3(-92.40, 171.75, 60.08),
-      
-      // Descending arc
-      new THREE.Vector3(-89.50, 162.00, 57.80),
-      new THREE.Vector3(-87.00, 154.50, 56.00),
-      new THREE.Vector3(-85.09, 147.25, 54.61),
-      
-      // Wide sweep around building
-      new THREE.Vector3(-95.00, 135.00, 62.00),
-      new THREE.Vector3(-110.00, 120.00, 75.00),
-      new THREE.Vector3(-128.00, 108.00, 85.00),
-      new THREE.Vector3(-141.73, 97.58, 92.82),
-      
-      // Coming back toward entrance
-      new THREE.Vector3(-135.00, 88.00, 88.00),
-      new THREE.Vector3(-125.00, 78.00, 80.00),
-      new THREE.Vector3(-115.00, 70.00, 74.00),
-      new THREE.Vector3(-107.87, 64.74, 68.88),
-      
-      // Descending toward ground level
-      new THREE.Vector3(-98.00, 55.00, 62.00),
-      new THREE.Vector3(-90.00, 47.00, 56.00),
-      new THREE.Vector3(-84.00, 41.00, 52.00),
-      new THREE.Vector3(-79.09, 36.82, 48.54),
-      
-      // Low approach
-      new THREE.Vector3(-80.00, 28.00, 52.00),
-      new THREE.Vector3(-80.50, 21.00, 53.50),
-      new THREE.Vector3(-80.77, 13.86, 54.89),
-      
-      // Final corridor approach
-      new THREE.Vector3(-76.50, 12.00, 51.00),
-      new THREE.Vector3(-73.00, 11.00, 48.50),
-      new THREE.Vector3(-70.27, 10.19, 46.09),
-      
-      // Entering the building
-      new THREE.Vector3(-66.50, 8.80, 43.00),
-      new THREE.Vector3(-64.00, 8.00, 41.00),
-      new THREE.Vector3(-61.48, 7.11, 38.74),
-      
-      // Through the entrance
-      new THREE.Vector3(-58.00, 6.50, 35.50),
-      new THREE.Vector3(-55.50, 6.00, 33.00),
-      new THREE.Vector3(-52.80, 5.66, 30.43),
-      
-      // Final approach - slow and dramatic
-      new THREE.Vector3(-49.50, 4.00, 27.00),
-      new THREE.Vector3(-47.00, 2.80, 24.50),
-      new THREE.Vector3(-44.17, 1.28, 21.45),
-      
-      // Into the darkness
-      new THREE.Vector3(-43.00, 0.60, 20.40),
-      new THREE.Vector3(-42.50, 0.30, 19.90),
-      new THREE.Vector3(-41.99, 0.04, 19.38)
-    ];
-
-    // Create smooth spline
-    this.cameraSpline = new THREE.CatmullRomCurve3(cameraWaypoints);
-    this.cameraSpline.curveType = 'centripetal';
-    
-    this.cameraTransition.active = true;
-    this.cameraTransition.progress = 0;
-    this.cameraTransition.startTime = performance.now();
-    this.cameraTransition.currentPosition.copy(cameraWaypoints[0]);
-    this.cameraTransition.currentLookAt.copy(this.cameraTransition.lookAtTarget);
-    
-    console.log('Camera transition started');
-  }
+    transition.active = true;
+    transition.progress = 0;
+    transition.duration = chapter.duration * 1000;
+    transition.startTime = performance.now();
 
-  // Ultra smooth easing
-  ultraSmoothEase(t) {
-    const sine = Math.sin(t * Math.PI - Math.PI / 2) * 0.5 + 0.5;
-    const poly = t * t * t * (t * (t * 6 - 15) + 10);
-    return sine * 0.3 + poly * 0.7;
-  }
+    // The first chapter starts on its path; later ones glide over from where the camera is
+    if (index === 0) {
+      transition.currentPosition.copy(this.cameraSpline ? this.cameraSpline.getPoint(0) : this.camera.position);
+      transition.currentLookAt.copy(
+        this.lookAtSpline ? this.lookAtSpline.getPoint(0) : transition.lookAtTarget
+      );
+      this.camera.lookAt(transition.currentLookAt);
+    }
 
-  lerp(a, b, t) {
-    return a + (b - a) * t;
-  }
+    this.effects.setEffects(chapter.effects);
 
-  damp(current, target, smoothing, dt) {
-    return this.lerp(current, target, 1 - Math.exp(-smoothing * dt));
-  }
+    const narration = resolveLocalized(chapter.narration);
+    if (narration) {
+      introNarration.play(narration);
+    } else {
+      introNarration.stop();
+    }
+    introCards.clear();
 
-  dampVector3(current, target, smoothing, dt) {
-    current.x = this.damp(current.x, target.x, smoothing, dt);
-    current.y = this.damp(current.y, target.y, smoothing, dt);
-    current.z = this.damp(current.z, target.z, smoothing, dt);
+    console.log(`Intro chapter ${index + 1}/${this.chapters.length}: ${chapter.id}`);
+    if (this.onChapterChange) {
+      this.onChapterChange(chapter, index, this.chapters.length);
+    }
   }
 
   updateCameraTransition() {
-    if (!this.cameraTransition.active || !this.cameraSpline) return;
+    if (!this.cameraTransition.active) return;
 
     const currentTime = performance.now();
     const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.05);
     this.lastTime = currentTime;
 
     const elapsed = currentTime - this.cameraTransition.startTime;
-    let rawProgress = elapsed / this.cameraTransition.duration;
+    const rawProgress = Math.min(elapsed / this.cameraTransition.duration, 1);
+    this.cameraTransition.progress = rawProgress;
+
+    introCards.update(this.chapters[this.chapterIndex].cards, elapsed / 1000);
+
+    // Effects follow the whole intro, so they do not start over with each chapter
+    this.updateVisualEffects(this.getProgress(), deltaTime);
+
+    if (this.cameraSpline) {
+      this.updateCameraPath(rawProgress, deltaTime);
+    }
 
     if (rawProgress >= 1) {
-      rawProgress = 1;
-      this.cameraTransition.active = false;
-      
-      console.log('Camera transition completed');
-      
-      // Notify completion
-      if (this.onComplete) {
-        this.onComplete();
-      }
+      this.next();
     }
+  }
 
+  updateCameraPath(rawProgress, deltaTime) {
     // Variable speed - slow start, faster middle, slow dramatic end
-    const speedCurve = this.variableSpeedEase(rawProgress);
+    const speedCurve = variableSpeedEase(rawProgress);
     const targetPosition = this.cameraSpline.getPointAt(Math.min(speedCurve, 1));
 
     const smoothingFactor = 2.5;
-    this.dampVector3(this.cameraTransition.currentPosition, targetPosition, smoothingFactor, deltaTime);
+    dampVector3(this.cameraTransition.currentPosition, targetPosition, smoothingFactor, deltaTime);
 
     this.camera.position.copy(this.cameraTransition.currentPosition);
     
-    // Dynamic look-at target - shifts slightly during journey
-    const lookAtOffset = new THREE.Vector3(
-      Math.sin(rawProgress * Math.PI * 2) * 5,
-      -rawProgress * 10,
-      Math.cos(rawProgress * Math.PI * 2) * 5
-    );
-    const dynamicLookAt = this.cameraTransition.lookAtTarget.clone().add(lookAtOffset);
+    let dynamicLookAt;
+    if (this.lookAtSpline) {
+      // Same spline parameter as the position, so each look-at lines up with its waypoint
+      dynamicLookAt = this.lookAtSpline.getPoint(this.cameraSpline.getUtoTmapping(Math.min(speedCurve, 1)));
+    } else {
+      // Dynamic look-at target - shifts slightly during journey
+      const lookAtOffset = new THREE.Vector3(
+        Math.sin(rawProgress * Math.PI * 2) * 5,
+        -rawProgress * 10,
+        Math.cos(rawProgress * Math.PI * 2) * 5
+      );
+      dynamicLookAt = this.cameraTransition.lookAtTarget.clone().add(lookAtOffset);
+    }
     
-    this.dampVector3(this.cameraTransition.currentLookAt, dynamicLookAt, smoothingFactor, deltaTime);
+    dampVector3(this.cameraTransition.currentLookAt, dynamicLookAt, smoothingFactor, deltaTime);
     this.camera.lookAt(this.cameraTransition.currentLookAt);
-
-    this.cameraTransition.progress = rawProgress;
-    
-    // Update visual effects based on progress
-    this.updateVisualEffects(rawProgress, deltaTime);
     
     // Subtle camera shake near the end for tension
     if (rawProgress > 0.7) {
@@ -854,127 +529,138 @@ export class LoadingScene {
     }
   }
   
-  // Variable speed easing - slow, fast, slow
-  variableSpeedEase(t) {
-    // Slow at start (0-20%), fast in middle (20-80%), slow at end (80-100%)
-    if (t < 0.2) {
-      // Slow start - ease in
-      return this.easeInQuad(t / 0.2) * 0.15;
-    } else if (t < 0.8) {
-      // Fast middle - linear with slight curve
-      const middleT = (t - 0.2) / 0.6;
-      return 0.15 + middleT * 0.7;
-    } else {
-      // Slow end - ease out
-      const endT = (t - 0.8) / 0.2;
-      return 0.85 + this.easeOutQuad(endT) * 0.15;
-    }
-  }
-  
-  easeInQuad(t) {
-    return t * t;
-  }
-  
-  easeOutQuad(t) {
-    return t * (2 - t);
-  }
-
   start(onComplete) {
     this.onComplete = onComplete;
     this.isActive = true;
-    this.animate();
     console.log('Loading scene started');
   }
 
-  animate() {
+  /**
+   * Advance the intro. Call once per frame while the scene is shown.
+   */
+  update() {
     if (!this.isActive || this.isDisposed) return;
-
-    this.animationId = requestAnimationFrame(this.animate.bind(this));
-    
     this.updateCameraTransition();
-    
-    // Use composer for post-processed rendering
-    if (this.composer) {
-      this.composer.render();
-    } else {
-      this.renderer.render(this.scene, this.camera);
-    }
+  }
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   */
+  render(delta) {
+    if (this.isDisposed) return;
+    // Post-processed rendering, or plain at the lowest quality
+    this.effects.render(delta);
   }
 
   onWindowResize() {
-    if (!this.camera || !this.renderer) return;
+    if (!this.camera) return;
     
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
     
-    // Update composer size
-    if (this.composer) {
-      this.composer.setSize(window.innerWidth, window.innerHeight);
-    }
+    // Update post-processing size (the renderer follows the window in sceneSetup.js)
+    this.effects.setSize(window.innerWidth, window.innerHeight);
   }
 
+  /**
+   * @returns {number} Progress through the whole intro, 0 to 1
+   */
   getProgress() {
-    return this.cameraTransition.progress;
+    if (this.isFinished) return 1;
+    if (this.chapterIndex < 0) return 0;
+
+    const durations = this.chapters.map(chapter => chapter.duration);
+    const total = durations.reduce((sum, duration) => sum + duration, 0);
+    const before = durations.slice(0, this.chapterIndex).reduce((sum, duration) => sum + duration, 0);
+    return (before + this.cameraTransition.progress * durations[this.chapterIndex]) / total;
   }
 
   isComplete() {
-    return this.cameraTransition.progress >= 1;
+    return this.isFinished;
   }
 
-  skipTransition() {
-    if (this.cameraTransition.active) {
-      this.cameraTransition.active = false;
-      this.cameraTransition.progress = 1;
-      console.log('Camera transition skipped');
-      if (this.onComplete) {
-        this.onComplete();
-      }
+  /**
+   * @returns {boolean} Whether a chapter follows the current one
+   */
+  hasNextChapter() {
+    return !this.isFinished && this.chapterIndex < this.chapters.length - 1;
+  }
+
+  /**
+   * End the current chapter and play the next one, or end the intro after the last
+   */
+  next() {
+    if (!this.cameraTransition.active) return;
+
+    if (this.chapterIndex < this.chapters.length - 1) {
+      this.startChapter(this.chapterIndex + 1);
+    } else {
+      console.log('Intro completed');
+      this.finish();
+    }
+  }
+
+  /**
+   * End the intro, also while its assets are still loading
+   */
+  skip() {
+    if (this.isFinished) return;
+    console.log('Intro skipped');
+    this.finish();
+  }
+
+  finish() {
+    if (this.isFinished) return;
+    this.isFinished = true;
+    this.cameraTransition.active = false;
+    this.cameraTransition.progress = 1;
+
+    introNarration.stop();
+    introCards.clear();
+
+    if (this.onComplete) {
+      this.onComplete();
     }
   }
 
   dispose() {
+    if (this.isDisposed) return;
     this.isActive = false;
     this.isDisposed = true;
-    
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
 
     window.removeEventListener('resize', this.boundResize);
 
+    introNarration.stop();
+    introCards.clear();
+
     // Dispose post-processing
-    if (this.composer) {
-      this.composer.dispose();
+    if (this.effects) {
+      this.effects.dispose();
     }
 
-    // Dispose Three.js resources
+    // Dispose Three.js resources (the GL context lives on, so textures too)
     if (this.scene) {
       this.scene.traverse((object) => {
         if (object.geometry) {
           object.geometry.dispose();
         }
         if (object.material) {
-          if (Array.isArray(object.material)) {
-            object.material.forEach(mat => mat.dispose());
-          } else {
-            object.material.dispose();
-          }
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach(mat => {
+            if (mat.map) mat.map.dispose();
+            mat.dispose();
+          });
         }
       });
     }
 
-    if (this.renderer) {
-      this.renderer.dispose();
-      if (this.renderer.domElement && this.renderer.domElement.parentNode) {
-        this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
-      }
-    }
+    // The renderer stays with the gallery
+    this.renderer.toneMappingExposure = this.previousExposure;
 
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.composer = null;
+    this.effects = null;
     
     console.log('Loading scene disposed');
   }
@@ -1,6 +1,17 @@
 import * as THREE from 'three';
 
-export function createDust(scene) {
+/**
+ * Draw only a share of a particle system's points; the rest stay allocated,
+ * so the share can go back up without rebuilding the geometry
+ * @param {THREE.Points} points
+ * @param {number} density - 0 to 1, e.g. a quality preset's particles
+ */
+export function setParticleDensity(points, density) {
+  const count = points.geometry.attributes.position.count;
+  points.geometry.setDrawRange(0, Math.round(count * density));
+}
+
+export function createDust(scene, density = 1) {
   const particlesGeometry = new THREE.BufferGeometry();
   const count = 500; // Reduced from 1000 for better performance
 
@@ -22,6 +33,7 @@ export function createDust(scene) {
   });
 
   const particles = new THREE.Points(particlesGeometry, particlesMaterial);
+  setParticleDensity(particles, density);
   scene.add(particles);
 
   return particles;
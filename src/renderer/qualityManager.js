@@ -0,0 +1,131 @@
+import { QUALITY } from '@config/constants.js';
+
+// Phones and tablets start a step lower than desktops
+const isTouchDevice = () => 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+/**
+ * QualityManager - Picks a rendering preset (QUALITY.LEVELS) from measured frame times
+ *
+ * The frame time is smoothed, and the level only moves after it has stayed
+ * above QUALITY.DOWNGRADE_FRAME_TIME (one step down) or below
+ * QUALITY.UPGRADE_FRAME_TIME (one step up) for a while; stepping up takes
+ * longer than stepping down. A level that turned out too slow is not tried
+ * again for QUALITY.RETRY_DELAY, doubled each time it fails, so the level
+ * settles instead of bouncing. A manual override stops the measuring.
+ */
+export class QualityManager {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.level] - Level to start at in auto mode (e.g. the last one chosen)
+   * @param {string|null} [options.override] - Fixed level, or null for auto
+   */
+  constructor({ level = null, override = null } = {}) {
+    this.autoLevel = QUALITY.LEVELS.includes(level)
+      ? level
+      : (isTouchDevice() ? QUALITY.DEFAULT_TOUCH : QUALITY.DEFAULT);
+    this.override = QUALITY.LEVELS.includes(override) ? override : null;
+    this.listeners = new Set();
+
+    this.averageFrameTime = null;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.elapsed = 0;
+    this.retryAt = new Map(); // level -> elapsed time before which it is not tried again
+    this.retryDelay = new Map(); // level -> current retry delay
+
+    console.log(`Quality: ${this.level}${this.override ? ' (manual)' : ' (auto)'}`);
+  }
+
+  get level() {
+    return this.override ?? this.autoLevel;
+  }
+
+  get preset() {
+    return QUALITY.PRESETS[this.level];
+  }
+
+  get isAuto() {
+    return this.override === null;
+  }
+
+  /**
+   * Subscribe to level changes
+   * @param {function(QualityManager)} listener
+   * @returns {function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Fix the level, or go back to choosing it from frame times
+   * @param {string|null} level - One of QUALITY.LEVELS, or null for auto
+   */
+  setOverride(level) {
+    const previous = this.level;
+    this.override = QUALITY.LEVELS.includes(level) ? level : null;
+    this.resetMeasurement();
+    console.log(`Quality: ${this.override ? `${this.override} (manual)` : `auto, at ${this.autoLevel}`}`);
+    if (this.level !== previous) this.notify();
+  }
+
+  /**
+   * Measure a frame. Call once per rendered frame.
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (!this.isAuto || document.hidden) return;
+
+    // Tab switches and loading stalls say nothing about the rendering cost
+    const frameTime = delta * 1000;
+    if (frameTime > QUALITY.MAX_FRAME_TIME) return;
+
+    this.elapsed += delta;
+    this.averageFrameTime = this.averageFrameTime === null
+      ? frameTime
+      : this.averageFrameTime + (frameTime - this.averageFrameTime) * QUALITY.SMOOTHING;
+
+    if (this.averageFrameTime > QUALITY.DOWNGRADE_FRAME_TIME) {
+      this.slowTime += delta;
+      this.fastTime = 0;
+    } else if (this.averageFrameTime < QUALITY.UPGRADE_FRAME_TIME) {
+      this.fastTime += delta;
+      this.slowTime = 0;
+    } else {
+      this.slowTime = 0;
+      this.fastTime = 0;
+    }
+
+    const index = QUALITY.LEVELS.indexOf(this.autoLevel);
+    if (this.slowTime >= QUALITY.DOWNGRADE_DELAY && index > 0) {
+      const delay = this.retryDelay.get(this.autoLevel) ?? QUALITY.RETRY_DELAY;
+      this.retryAt.set(this.autoLevel, this.elapsed + delay);
+      this.retryDelay.set(this.autoLevel, delay * 2);
+      this.step(QUALITY.LEVELS[index - 1], this.averageFrameTime);
+    } else if (this.fastTime >= QUALITY.UPGRADE_DELAY && index < QUALITY.LEVELS.length - 1) {
+      const next = QUALITY.LEVELS[index + 1];
+      if (this.elapsed >= (this.retryAt.get(next) ?? 0)) {
+        this.step(next, this.averageFrameTime);
+      }
+    }
+  }
+
+  step(level, frameTime) {
+    console.log(`Quality: ${this.autoLevel} -> ${level} (${frameTime.toFixed(1)} ms per frame)`);
+    this.autoLevel = level;
+    // Judge the new level on its own frame times
+    this.resetMeasurement();
+    this.notify();
+  }
+
+  resetMeasurement() {
+    this.averageFrameTime = null;
+    this.slowTime = 0;
+    this.fastTime = 0;
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { HIGHLIGHT } from '@config/constants.js';
+
+/**
+ * Region highlight for the scanned faces of a letter model
+ *
+ * The face meshes map the whole scan onto UVs 0..1 with the origin at the
+ * top-left, so a transcription region ([x, y, width, height] as fractions of
+ * the scan) is also a rectangle in UV space. The shader dims everything
+ * outside it and tints the inside, with `strength` fading the effect in and
+ * out.
+ */
+
+// Highlights still fading towards their target strength
+const fading = new Set();
+
+/**
+ * Add the highlight uniforms to a letter face material
+ * @param {THREE.Material} material - Material with a `map` (MeshBasicMaterial)
+ * @param {string} side - 'front' | 'back'
+ */
+export function addRegionHighlight(material, side) {
+  const uniforms = {
+    highlightRegion: { value: new THREE.Vector4(0, 0, 1, 1) },
+    highlightStrength: { value: 0 },
+    highlightColor: { value: new THREE.Color(HIGHLIGHT.COLOR) }
+  };
+
+  material.userData.highlight = { side, uniforms, target: 0 };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+uniform vec4 highlightRegion;
+uniform float highlightStrength;
+uniform vec3 highlightColor;`)
+      .replace('#include <map_fragment>', `#include <map_fragment>
+#ifdef USE_MAP
+  vec2 highlightMin = highlightRegion.xy;
+  vec2 highlightMax = highlightRegion.xy + highlightRegion.zw;
+  vec2 highlightEdge = fwidth(vMapUv) * 2.0;
+  vec2 highlightInside = smoothstep(highlightMin - highlightEdge, highlightMin, vMapUv)
+    * (1.0 - smoothstep(highlightMax, highlightMax + highlightEdge, vMapUv));
+  float inside = highlightInside.x * highlightInside.y;
+  vec3 highlighted = mix(diffuseColor.rgb * ${HIGHLIGHT.DIM.toFixed(2)}, diffuseColor.rgb + highlightColor * ${HIGHLIGHT.TINT.toFixed(2)}, inside);
+  diffuseColor.rgb = mix(diffuseColor.rgb, highlighted, highlightStrength);
+#endif`);
+  };
+  // Only materials with a highlight share this program
+  material.customProgramCacheKey = () => 'region-highlight';
+}
+
+/**
+ * Highlight a region on one face of a letter, or clear it
+ * @param {THREE.Object3D} letter - Letter model from loadLetters
+ * @param {Object|null} line - Transcription line ({ side, region }) or null
+ */
+export function setRegionHighlight(letter, line) {
+  letter.traverse(child => {
+    const highlight = child.isMesh && child.material?.userData.highlight;
+    if (!highlight) return;
+
+    const active = line && line.side === highlight.side;
+    highlight.target = active ? 1 : 0;
+    if (active) {
+      highlight.uniforms.highlightRegion.value.fromArray(line.region);
+    }
+    fading.add(highlight);
+  });
+}
+
+/**
+ * Fade highlights towards their targets
+ * @param {number} delta - Seconds since the last frame
+ */
+export function updateRegionHighlights(delta) {
+  const step = delta / HIGHLIGHT.FADE_DURATION;
+  fading.forEach(highlight => {
+    const strength = highlight.uniforms.highlightStrength;
+    if (strength.value < highlight.target) {
+      strength.value = Math.min(strength.value + step, highlight.target);
+    } else {
+      strength.value = Math.max(strength.value - step, highlight.target);
+    }
+    if (strength.value === highlight.target) {
+      fading.delete(highlight);
+    }
+  });
+}
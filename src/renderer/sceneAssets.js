@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import { getGLTFLoader } from '@utils/loaders.js';
+import { loadSceneManifest } from '@data/sceneManifest.js';
+
+/**
+ * Fetch and validate a scene manifest (see src/data/sceneManifest.js)
+ * @param {string} url
+ * @returns {Promise<Object>} Normalised manifest
+ */
+export async function fetchSceneManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Scene manifest ${url}: HTTP ${response.status}`);
+  }
+  return loadSceneManifest(await response.json());
+}
+
+/**
+ * Byte counts of every file being loaded. Files without a Content-Length
+ * count what has arrived so far, so the total can grow while loading.
+ */
+class ByteProgress {
+  constructor(onProgress) {
+    this.onProgress = onProgress;
+    this.files = new Map(); // url -> { loaded, total }
+  }
+
+  update(url, event) {
+    const file = this.files.get(url) ?? { loaded: 0, total: 0 };
+    file.loaded = event.loaded;
+    if (event.lengthComputable) file.total = event.total;
+    this.files.set(url, file);
+    this.report();
+  }
+
+  finish(url) {
+    const file = this.files.get(url) ?? { loaded: 0, total: 0 };
+    file.total = Math.max(file.total, file.loaded);
+    file.loaded = file.total;
+    this.files.set(url, file);
+    this.report();
+  }
+
+  report() {
+    if (!this.onProgress) return;
+    let loaded = 0;
+    let total = 0;
+    this.files.forEach(file => {
+      loaded += file.loaded;
+      total += Math.max(file.total, file.loaded);
+    });
+    this.onProgress(loaded, total);
+  }
+}
+
+function loadModel(url, progress) {
+  return new Promise((resolve, reject) => {
+    getGLTFLoader().load(url, (gltf) => {
+      progress.finish(url);
+      resolve(gltf.scene);
+    }, (event) => progress.update(url, event), reject);
+  });
+}
+
+// Loaded as a blob rather than with TextureLoader, which reports no progress
+function loadTexture(url, progress) {
+  const loader = new THREE.FileLoader().setResponseType('blob');
+  return new Promise((resolve, reject) => {
+    loader.load(url, resolve, (event) => progress.update(url, event), reject);
+  })
+    .then(blob => createImageBitmap(blob))
+    .then(image => {
+      progress.finish(url);
+      // GLB texture coordinates start at the top left, as ImageBitmaps do
+      const texture = new THREE.Texture(image);
+      texture.flipY = false;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      texture.needsUpdate = true;
+      return texture;
+    });
+}
+
+function disposeMaterial(material) {
+  if (material.map) material.map.dispose();
+  material.dispose();
+}
+
+/**
+ * One material for the whole asset, from its manifest override. Lambert
+ * (matte, lit) unless the manifest asks for an unlit "basic" material.
+ */
+function createMaterial(asset, source, map) {
+  const { type = 'lambert', color, opacity } = asset.material;
+  const MaterialType = type === 'basic' ? THREE.MeshBasicMaterial : THREE.MeshLambertMaterial;
+  const finalOpacity = opacity ?? source.opacity;
+
+  return new MaterialType({
+    name: asset.id,
+    // A texture shows its own colours unless a colour is given to tint it
+    color: color ? new THREE.Color(color) : (map ? 0xffffff : source.color),
+    map,
+    transparent: finalOpacity < 1,
+    opacity: finalOpacity,
+    side: source.side
+  });
+}
+
+// Models were lit as Lambert surfaces before conversion; keep that look for the ones without an override
+function toLambert(material) {
+  if (!material.isMeshStandardMaterial) return material;
+
+  const lambert = new THREE.MeshLambertMaterial({
+    name: material.name,
+    color: material.color,
+    map: material.map,
+    transparent: material.transparent,
+    opacity: material.opacity,
+    side: material.side
+  });
+  material.dispose();
+  return lambert;
+}
+
+function applyMaterials(root, asset, map) {
+  const materials = new Map(); // glTF materials are shared between meshes
+  let override = null;
+
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    if (!materials.has(child.material)) {
+      if (asset.material) {
+        override ??= createMaterial(asset, child.material, map);
+        disposeMaterial(child.material);
+        materials.set(child.material, override);
+      } else {
+        materials.set(child.material, toLambert(child.material));
+      }
+    }
+    child.material = materials.get(child.material);
+  });
+}
+
+function applyTransform(root, asset) {
+  if (asset.position) root.position.fromArray(asset.position);
+  if (asset.rotation) {
+    root.rotation.set(...asset.rotation.map(degrees => THREE.MathUtils.degToRad(degrees)));
+  }
+  if (asset.scale) root.scale.fromArray(asset.scale);
+}
+
+/**
+ * Load every asset of a manifest into a parent object
+ *
+ * Assets start in the order listed; one with `after` waits until that asset
+ * has loaded (or failed). A failed asset is logged and left out, so the rest
+ * of the scene still shows.
+ *
+ * @param {Object} manifest - From fetchSceneManifest()
+ * @param {string} manifestUrl - Paths in the manifest are relative to it
+ * @param {THREE.Object3D} parent - Loaded models are added here
+ * @param {function(number, number)} [onProgress] - (loaded bytes, total bytes) over every file
+ * @returns {Promise<Map<string, THREE.Object3D>>} Loaded models by asset id
+ */
+export async function loadSceneAssets(manifest, manifestUrl, parent, onProgress) {
+  const baseUrl = new URL(manifestUrl, window.location.href);
+  const resolve = (path) => new URL(path, baseUrl).href;
+  const progress = new ByteProgress(onProgress);
+  const models = new Map();
+  const pending = new Map(); // id -> promise settled when the asset is done
+
+  const loadAsset = async (asset) => {
+    if (asset.after) await pending.get(asset.after);
+
+    try {
+      const texture = asset.material?.texture;
+      const [root, map] = await Promise.all([
+        loadModel(resolve(asset.model), progress),
+        texture ? loadTexture(resolve(texture), progress) : null
+      ]);
+
+      applyMaterials(root, asset, map);
+      applyTransform(root, asset);
+      root.name = asset.id;
+      parent.add(root);
+      models.set(asset.id, root);
+      console.log(`Scene "${manifest.name}": ${asset.id} loaded`);
+    } catch (error) {
+      console.error(`Scene "${manifest.name}": error loading ${asset.id}:`, error);
+    }
+  };
+
+  manifest.assets.forEach(asset => pending.set(asset.id, loadAsset(asset)));
+  await Promise.all(pending.values());
+
+  return models;
+}
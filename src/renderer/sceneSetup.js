@@ -1,6 +1,18 @@
 import * as THREE from 'three';
 
-export function initScene() {
+/**
+ * Render at the device pixel ratio, up to a quality preset's cap
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {number} maxPixelRatio
+ */
+export function setPixelRatio(renderer, maxPixelRatio) {
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+}
+
+/**
+ * @param {Object} quality - Preset from QUALITY.PRESETS (antialias can only be set here)
+ */
+export function initScene(quality) {
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0x000000); // Dark environment
   scene.fog = new THREE.FogExp2(0x000000, 0.01); // Reduced fog density for larger grid
@@ -15,11 +27,11 @@ export function initScene() {
   camera.position.set(0, 1.6, 50);
 
   const renderer = new THREE.WebGLRenderer({
-    antialias: false, // Disable antialiasing for better performance
+    antialias: quality.antialias,
     powerPreference: "high-performance" // Use discrete GPU if available
   });
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5)); // Reduce from 2 to 1.5 for better performance
+  setPixelRatio(renderer, quality.pixelRatio);
   renderer.outputColorSpace = THREE.SRGBColorSpace; // Ensure proper color rendering for textures
   renderer.toneMapping = THREE.ACESFilmicToneMapping; // Better color reproduction
   renderer.toneMappingExposure = 1.0;
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import { TRANSITION } from '@config/constants.js';
+import { ultraSmoothEase } from '@utils/easing.js';
+
+const FOG_COLOR = new THREE.Color(0x000000);
+
+/**
+ * SceneTransition - Hands the screen from one scene to another through fog
+ *
+ * The camera of the first scene keeps diving forward while its fog thickens
+ * and turns black; at the cut, onSwitch() swaps the scenes and the second
+ * one's fog clears from the same black. Both scenes need FogExp2 fog and
+ * render with the same renderer, so no second GL context is involved.
+ */
+export class SceneTransition {
+  constructor() {
+    this.phase = null; // 'in' over the first scene, 'out' over the second
+    this.elapsed = 0;
+    this.from = null;
+    this.to = null;
+    this.onSwitch = null;
+    this.onComplete = null;
+  }
+
+  get isActive() {
+    return this.phase !== null;
+  }
+
+  /**
+   * @param {Object} from - { scene, camera } shown now
+   * @param {THREE.Scene} toScene - Scene shown after the cut
+   * @param {Object} [callbacks]
+   * @param {function} [callbacks.onSwitch] - Called at the cut; start rendering toScene from here
+   * @param {function} [callbacks.onComplete] - Called once the fog has cleared
+   */
+  start(from, toScene, { onSwitch = null, onComplete = null } = {}) {
+    this.phase = 'in';
+    this.elapsed = 0;
+    this.from = {
+      scene: from.scene,
+      camera: from.camera,
+      density: from.scene.fog.density,
+      fogColor: from.scene.fog.color.clone(),
+      background: from.scene.background?.isColor ? from.scene.background.clone() : null
+    };
+    this.to = {
+      scene: toScene,
+      density: toScene.fog.density,
+      fogColor: toScene.fog.color.clone()
+    };
+    this.onSwitch = onSwitch;
+    this.onComplete = onComplete;
+    console.log('Scene transition started');
+  }
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (!this.isActive) return;
+
+    this.elapsed += Math.min(delta, 0.1);
+
+    if (this.phase === 'in') {
+      const t = Math.min(this.elapsed / TRANSITION.FOG_IN, 1);
+      const eased = ultraSmoothEase(t);
+      const { scene, camera, density, fogColor, background } = this.from;
+
+      scene.fog.density = THREE.MathUtils.lerp(density, TRANSITION.FOG_DENSITY, eased);
+      scene.fog.color.lerpColors(fogColor, FOG_COLOR, eased);
+      if (background) {
+        scene.background.lerpColors(background, FOG_COLOR, eased);
+      }
+      camera.translateZ(-TRANSITION.DIVE_SPEED * Math.min(delta, 0.1));
+
+      if (t >= 1) {
+        this.phase = 'out';
+        this.elapsed = 0;
+        this.applyFog(0);
+        if (this.onSwitch) this.onSwitch();
+      }
+      return;
+    }
+
+    const t = Math.min(this.elapsed / TRANSITION.FOG_OUT, 1);
+    this.applyFog(ultraSmoothEase(t));
+
+    if (t >= 1) {
+      const onComplete = this.onComplete;
+      this.phase = null;
+      this.from = null;
+      this.to = null;
+      this.onSwitch = null;
+      this.onComplete = null;
+      console.log('Scene transition completed');
+      if (onComplete) onComplete();
+    }
+  }
+
+  // Clear the second scene's fog from the black of the cut (0) to its own (1)
+  applyFog(amount) {
+    const { scene, density, fogColor } = this.to;
+    scene.fog.density = THREE.MathUtils.lerp(TRANSITION.FOG_DENSITY, density, amount);
+    scene.fog.color.lerpColors(FOG_COLOR, fogColor, amount);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Service worker - Keeps the archive usable without a connection
+ *
+ * Not bundled: the build (scripts/vite-plugin-offline.js) writes it to
+ * /sw.js with the URL and version of the precache manifest filled in. The
+ * manifest lists every file of the build with a content revision.
+ *
+ * - The app shell is cached on install, so the page opens offline.
+ * - Archive files (letters, scans, audio, the intro's models) are cached the
+ *   first time they are fetched; offline mode (src/utils/offline.js) fetches
+ *   all of them at once.
+ * - A cached file is served while its revision matches the manifest; files
+ *   dropped from the manifest are deleted when a new version activates.
+ * - Byte ranges (streamed theme audio) are cut from the cached file.
+ */
+
+const MANIFEST_URL = self.__PRECACHE_MANIFEST_URL__;
+const VERSION = self.__PRECACHE_VERSION__;
+const CACHE = 'house-of-dreams';
+const REVISION_HEADER = 'X-Precache-Revision';
+
+let entriesPromise = null;
+
+// url -> { url, revision, size, shell }
+function indexManifest(manifest) {
+  const entries = new Map();
+  manifest.shell.forEach(entry => entries.set(entry.url, { ...entry, shell: true }));
+  manifest.archive.forEach(entry => entries.set(entry.url, { ...entry, shell: false }));
+  return entries;
+}
+
+// The manifest this worker installed, kept in the cache for when the worker restarts
+function getEntries() {
+  if (!entriesPromise) {
+    entriesPromise = caches.open(CACHE)
+      .then(cache => cache.match(MANIFEST_URL))
+      .then(response => response ?? fetch(MANIFEST_URL))
+      .then(response => response.json())
+      .then(indexManifest)
+      .catch(error => {
+        entriesPromise = null;
+        throw error;
+      });
+  }
+  return entriesPromise;
+}
+
+async function withRevision(response, revision) {
+  const headers = new Headers(response.headers);
+  headers.set(REVISION_HEADER, revision);
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+async function isCached(cache, entry) {
+  const cached = await cache.match(entry.url);
+  return cached?.headers.get(REVISION_HEADER) === entry.revision;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Precache manifest: HTTP ${response.status}`);
+    }
+    const cache = await caches.open(CACHE);
+    await cache.put(MANIFEST_URL, response.clone());
+    const entries = indexManifest(await response.json());
+    entriesPromise = Promise.resolve(entries);
+
+    const shell = [...entries.values()].filter(entry => entry.shell);
+    await Promise.all(shell.map(async (entry) => {
+      if (await isCached(cache, entry)) return;
+      const file = await fetch(entry.url, { cache: 'no-cache' });
+      if (!file.ok) {
+        throw new Error(`${entry.url}: HTTP ${file.status}`);
+      }
+      await cache.put(entry.url, await withRevision(file, entry.revision));
+    }));
+
+    console.log(`Service worker ${VERSION}: app shell cached (${shell.length} files)`);
+    // Hashed file names keep an open page working with the new version
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const entries = await getEntries();
+    const cache = await caches.open(CACHE);
+    const keys = await cache.keys();
+    const stale = keys.filter(request => {
+      const path = new URL(request.url).pathname;
+      return path !== MANIFEST_URL && !entries.has(path);
+    });
+    await Promise.all(stale.map(request => cache.delete(request)));
+
+    console.log(`Service worker ${VERSION} active${stale.length > 0 ? `, removed ${stale.length} old file(s)` : ''}`);
+    await self.clients.claim();
+  })());
+});
+
+// Pages: network first, so a new version shows up at once; the cached page offline (any route, e.g. /letter/12)
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// The manifest: fresh when online, so offline mode sees new files
+async function manifest(request) {
+  try {
+    return await fetch(request, { cache: 'no-store' });
+  } catch (error) {
+    const cached = await caches.match(MANIFEST_URL);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Listed files: from the cache while their revision matches, otherwise fetched and cached
+async function precached(event, path) {
+  const entries = await getEntries().catch(() => null);
+  const entry = entries?.get(path);
+  if (!entry) return fetch(event.request);
+
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(path);
+  if (cached?.headers.get(REVISION_HEADER) === entry.revision) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      event.waitUntil(withRevision(response.clone(), entry.revision).then(file => cache.put(path, file)));
+    }
+    return response;
+  } catch (error) {
+    // An outdated copy beats none
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Streamed media (<audio> asks for byte ranges): sliced from the cached file, otherwise from the network as it is
+async function ranged(request, path) {
+  const cached = await caches.match(path);
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+  if (!cached || !match) return fetch(request);
+
+  const blob = await cached.blob();
+  const start = match[1] === '' ? Math.max(blob.size - Number(match[2]), 0) : Number(match[1]);
+  const end = match[1] === '' || match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') ?? '',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1)
+    }
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.headers.has('range')) {
+    event.respondWith(ranged(request, url.pathname));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+  } else if (url.pathname === MANIFEST_URL) {
+    event.respondWith(manifest(request));
+  } else {
+    event.respondWith(precached(event, url.pathname));
+  }
+});
+
+// Offline mode asks which files are not cached yet (replies on the message port)
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'offline-status') return;
+
+  event.waitUntil((async () => {
+    const entries = [...(await getEntries()).values()];
+    const cache = await caches.open(CACHE);
+    const cached = await Promise.all(entries.map(entry => isCached(cache, entry)));
+    const missing = entries.filter((entry, index) => !cached[index]);
+
+    event.ports[0].postMessage({
+      version: VERSION,
+      files: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      missing: missing.map(({ url, size }) => ({ url, size }))
+    });
+  })());
+});
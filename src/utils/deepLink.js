@@ -0,0 +1,56 @@
+/**
+ * Deep links - a letter or a camera pose in the page URL
+ *
+ *   /letter/12                      stand in front of letter 12
+ *   #letter=12                      the same, for hosts without an SPA fallback
+ *   #pos=x,y,z&yaw=90&pitch=-10     a camera pose in world units; yaw and
+ *                                   pitch in degrees (yaw 0 faces -Z, positive
+ *                                   turns left; pitch positive looks up)
+ *
+ * A pose wins over the letter's viewpoint when both are given.
+ */
+import * as THREE from 'three';
+
+const LETTER_PATH = /^\/letter\/(\d+)\/?$/;
+const MAX_PITCH = 89;
+
+function parseNumber(value) {
+  if (value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read the deep link from a URL
+ * @param {Location|URL} [url] - Defaults to the current page
+ * @returns {{ letterId: number|null, pose: { position: number[], yaw: number, pitch: number }|null }|null}
+ *   Null when the URL does not link anywhere; yaw and pitch are in radians
+ */
+export function parseDeepLink(url = window.location) {
+  const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+
+  const pathMatch = url.pathname.match(LETTER_PATH);
+  let letterId = pathMatch ? Number(pathMatch[1]) : parseNumber(hash.get('letter'));
+  if (!Number.isInteger(letterId)) letterId = null;
+
+  let pose = null;
+  const position = hash.get('pos')?.split(',').map(parseNumber);
+  if (position?.length === 3 && position.every(value => value !== null)) {
+    const yaw = parseNumber(hash.get('yaw')) ?? 0;
+    const pitch = THREE.MathUtils.clamp(parseNumber(hash.get('pitch')) ?? 0, -MAX_PITCH, MAX_PITCH);
+    pose = { position, yaw: THREE.MathUtils.degToRad(yaw), pitch: THREE.MathUtils.degToRad(pitch) };
+  } else if (hash.has('pos')) {
+    console.warn(`Deep link: ignoring malformed position "${hash.get('pos')}"`);
+  }
+
+  if (letterId === null && pose === null) return null;
+  return { letterId, pose };
+}
+
+/**
+ * Path of a letter's deep link, or of the archive itself
+ * @param {number|null} letterId
+ */
+export function letterPath(letterId) {
+  return letterId === null ? '/' : `/letter/${letterId}`;
+}
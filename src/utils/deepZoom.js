@@ -0,0 +1,118 @@
+/**
+ * Deep Zoom (DZI) pyramid maths, as written by `npm run build:tiles`
+ *
+ * Level `maxLevel` is the full-resolution scan; every level below halves it,
+ * down to a single pixel at level 0. Each level is cut into square tiles that
+ * overlap their neighbours by `overlap` pixels.
+ */
+
+import { VIEWER } from '../config/constants.js';
+
+let manifest = null;
+
+/**
+ * Tile manifest written by `npm run build:tiles`, keyed by scan path. Missing
+ * tiles are not an error: every scan is then used as the plain JPEG.
+ * @returns {Promise<Object>}
+ */
+export function loadTileManifest() {
+  if (!manifest) {
+    manifest = fetch(VIEWER.MANIFEST)
+      .then(response => (response.ok ? response.json() : {}))
+      .catch(() => ({}))
+      .then(entries => {
+        console.log(`Deep zoom: ${Object.keys(entries).length} tiled scans`);
+        return entries;
+      });
+  }
+  return manifest;
+}
+
+/**
+ * @param {Object} source - Manifest entry: { tiles, width, height, tileSize, overlap, format }
+ * @returns {Object} Pyramid description
+ */
+export function createPyramid(source) {
+  const maxLevel = Math.ceil(Math.log2(Math.max(source.width, source.height)));
+  return { ...source, maxLevel };
+}
+
+/**
+ * Downscale factor of a level relative to the full-resolution image
+ */
+export function levelFactor(pyramid, level) {
+  return 2 ** (pyramid.maxLevel - level);
+}
+
+export function levelSize(pyramid, level) {
+  const factor = levelFactor(pyramid, level);
+  return {
+    width: Math.ceil(pyramid.width / factor),
+    height: Math.ceil(pyramid.height / factor)
+  };
+}
+
+/**
+ * Lowest level with at least one level pixel per screen pixel
+ * @param {number} scale - Screen (device) pixels per full-resolution image pixel
+ */
+export function levelForScale(pyramid, scale) {
+  const level = pyramid.maxLevel + Math.ceil(Math.log2(Math.max(scale, 1e-6)));
+  return Math.min(Math.max(level, 0), pyramid.maxLevel);
+}
+
+/**
+ * Tiles of a level that intersect a region given in full-resolution image
+ * pixels, with the image-space rectangle each tile covers.
+ * @returns {Array<{ level: number, column: number, row: number, url: string, x: number, y: number, width: number, height: number }>}
+ */
+export function getTiles(pyramid, level, region) {
+  const factor = levelFactor(pyramid, level);
+  const size = levelSize(pyramid, level);
+  const { tileSize, overlap } = pyramid;
+
+  const columns = Math.ceil(size.width / tileSize);
+  const rows = Math.ceil(size.height / tileSize);
+  const firstColumn = Math.max(0, Math.floor(region.minX / factor / tileSize));
+  const lastColumn = Math.min(columns - 1, Math.floor(region.maxX / factor / tileSize));
+  const firstRow = Math.max(0, Math.floor(region.minY / factor / tileSize));
+  const lastRow = Math.min(rows - 1, Math.floor(region.maxY / factor / tileSize));
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      // Tile images include the overlap on every inner edge
+      const x = column * tileSize - (column > 0 ? overlap : 0);
+      const y = row * tileSize - (row > 0 ? overlap : 0);
+      const right = Math.min((column + 1) * tileSize + overlap, size.width);
+      const bottom = Math.min((row + 1) * tileSize + overlap, size.height);
+
+      tiles.push({
+        level,
+        column,
+        row,
+        url: `${pyramid.tiles}/${level}/${column}_${row}.${pyramid.format}`,
+        x: x * factor,
+        y: y * factor,
+        width: (right - x) * factor,
+        height: (bottom - y) * factor
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * URL of the largest level that fits in a single tile no bigger than
+ * `maxSize`, i.e. a thumbnail of the whole scan
+ */
+export function thumbnailUrl(pyramid, maxSize) {
+  const limit = Math.min(maxSize, pyramid.tileSize);
+  let level = pyramid.maxLevel;
+  while (level > 0) {
+    const size = levelSize(pyramid, level);
+    if (size.width <= limit && size.height <= limit) break;
+    level--;
+  }
+  return `${pyramid.tiles}/${level}/0_0.${pyramid.format}`;
+}
@@ -0,0 +1,50 @@
+/**
+ * Easing and smoothing helpers shared by camera animations
+ */
+
+export function easeInQuad(t) {
+  return t * t;
+}
+
+export function easeOutQuad(t) {
+  return t * (2 - t);
+}
+
+// Ultra smooth easing
+export function ultraSmoothEase(t) {
+  const sine = Math.sin(t * Math.PI - Math.PI / 2) * 0.5 + 0.5;
+  const poly = t * t * t * (t * (t * 6 - 15) + 10);
+  return sine * 0.3 + poly * 0.7;
+}
+
+// Variable speed easing - slow, fast, slow
+export function variableSpeedEase(t) {
+  // Slow at start (0-20%), fast in middle (20-80%), slow at end (80-100%)
+  if (t < 0.2) {
+    // Slow start - ease in
+    return easeInQuad(t / 0.2) * 0.15;
+  } else if (t < 0.8) {
+    // Fast middle - linear with slight curve
+    const middleT = (t - 0.2) / 0.6;
+    return 0.15 + middleT * 0.7;
+  } else {
+    // Slow end - ease out
+    const endT = (t - 0.8) / 0.2;
+    return 0.85 + easeOutQuad(endT) * 0.15;
+  }
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Frame-rate independent exponential smoothing
+export function damp(current, target, smoothing, dt) {
+  return lerp(current, target, 1 - Math.exp(-smoothing * dt));
+}
+
+export function dampVector3(current, target, smoothing, dt) {
+  current.x = damp(current.x, target.x, smoothing, dt);
+  current.y = damp(current.y, target.y, smoothing, dt);
+  current.z = damp(current.z, target.z, smoothing, dt);
+}
@@ -0,0 +1,100 @@
+/**
+ * Language selection and lookup of localized values
+ *
+ * Localized values are maps of language code to value, e.g.
+ * `{ "en": "...", "ar": "..." }`. Lookups fall back to the default language,
+ * then to any language that is present.
+ */
+import { LANGUAGE } from '@config/constants.js';
+import { formatString } from '@config/strings.js';
+
+let currentLanguage = LANGUAGE.DEFAULT;
+const listeners = new Set();
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+export function isRTL(language = currentLanguage) {
+  return LANGUAGE.RTL.includes(language);
+}
+
+/**
+ * Pick the best available language from the browser preferences
+ */
+export function detectLanguage() {
+  const preferred = navigator.languages || [navigator.language];
+  for (const tag of preferred) {
+    const code = tag?.toLowerCase().split('-')[0];
+    if (LANGUAGE.SUPPORTED.includes(code)) return code;
+  }
+  return LANGUAGE.DEFAULT;
+}
+
+/**
+ * Change the active language and notify listeners
+ * @param {string} language - One of LANGUAGE.SUPPORTED
+ */
+export function setLanguage(language) {
+  if (!LANGUAGE.SUPPORTED.includes(language)) {
+    console.warn(`Unsupported language "${language}", keeping "${currentLanguage}"`);
+    return;
+  }
+  if (language === currentLanguage) return;
+
+  currentLanguage = language;
+  document.documentElement.lang = language;
+  // Only text containers turn right-to-left; the HUD, minimap and debug panel keep their layout
+  document.querySelectorAll('[data-i18n-dir]').forEach(element => {
+    element.dir = isRTL(language) ? 'rtl' : 'ltr';
+  });
+
+  console.log(`Language set to ${language}`);
+  listeners.forEach(listener => listener(language));
+}
+
+/**
+ * Subscribe to language changes
+ * @returns {function} Unsubscribe function
+ */
+export function onLanguageChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Which language a localized value will actually be shown in
+ * @returns {string|null} Language code, or null if the value is empty
+ */
+export function pickLanguage(value, language = currentLanguage) {
+  if (!value || typeof value !== 'object') return null;
+
+  const order = [language, LANGUAGE.DEFAULT, ...LANGUAGE.SUPPORTED];
+  return order.find(code => value[code]) || null;
+}
+
+export function resolveLocalized(value, language = currentLanguage) {
+  if (typeof value === 'string') return value;
+  const code = pickLanguage(value, language);
+  return code ? value[code] : null;
+}
+
+/**
+ * Translate an interface string in the current language
+ */
+export function t(key, params) {
+  return formatString(currentLanguage, key, params);
+}
+
+/**
+ * Fill every `[data-i18n]` element below root with its translated string,
+ * and `[data-i18n-placeholder]` inputs with a translated placeholder
+ */
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+}
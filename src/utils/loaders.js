@@ -4,6 +4,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { ASSETS } from '@config/constants.js';
 
 // Singleton GLTF Loader with optional Draco support
 let gltfLoader = null;
@@ -12,12 +13,13 @@ let dracoLoader = null;
 export function getGLTFLoader(useDraco = false) {
   if (!gltfLoader) {
     gltfLoader = new GLTFLoader();
-    
-    if (useDraco) {
-      dracoLoader = new DRACOLoader();
-      dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-      gltfLoader.setDRACOLoader(dracoLoader);
-    }
+  }
+
+  // Self-hosted decoder, so Draco models also load offline
+  if (useDraco && !dracoLoader) {
+    dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(ASSETS.DRACO);
+    gltfLoader.setDRACOLoader(dracoLoader);
   }
   return gltfLoader;
 }
@@ -0,0 +1,127 @@
+/**
+ * Offline mode: registers the service worker (src/sw.js) and downloads the
+ * whole archive into its cache, so the app keeps working without a connection
+ */
+import { OFFLINE } from '@config/constants.js';
+
+/**
+ * The service worker only exists in builds (it needs the precache manifest)
+ */
+export function isOfflineSupported() {
+  return import.meta.env.PROD && 'serviceWorker' in navigator && 'caches' in window;
+}
+
+let registration = null;
+
+export function registerServiceWorker() {
+  if (!isOfflineSupported()) return Promise.resolve(null);
+
+  registration ??= navigator.serviceWorker.register('/sw.js')
+    .then(result => {
+      console.log('Service worker registered');
+      return result;
+    })
+    .catch(error => {
+      console.error('Service worker registration failed:', error);
+      return null;
+    });
+  return registration;
+}
+
+// The worker that controls this page, once it has taken over (null after a hard reload)
+async function getController() {
+  if (!(await registerServiceWorker())) return null;
+  await navigator.serviceWorker.ready;
+  if (navigator.serviceWorker.controller) return navigator.serviceWorker.controller;
+
+  // On a first visit the new worker claims the page as it activates
+  return new Promise(resolve => {
+    const done = () => resolve(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', done, { once: true });
+    setTimeout(done, OFFLINE.CLAIM_TIMEOUT * 1000);
+  });
+}
+
+/**
+ * How much of the archive is cached
+ * @returns {Promise<Object|null>} { version, files, bytes, missing: [{ url, size }] }, or null without a service worker
+ */
+export async function getOfflineStatus() {
+  if (!isOfflineSupported()) return null;
+
+  const controller = await getController();
+  if (!controller) return null;
+
+  const channel = new MessageChannel();
+  const reply = new Promise(resolve => {
+    channel.port1.onmessage = (event) => resolve(event.data);
+  });
+  controller.postMessage({ type: 'offline-status' }, [channel.port2]);
+  return reply;
+}
+
+/**
+ * Fetch every file that is not cached yet; the service worker caches them on the way.
+ * @param {function(Object)} [onProgress] - Called with { loaded, total } bytes and { done, files, failed } counts
+ * @returns {Promise<{ failed: number }>} Files that could not be downloaded
+ */
+export async function downloadArchive(onProgress) {
+  const status = await getOfflineStatus();
+  if (!status) {
+    throw new Error('Offline mode needs an active service worker');
+  }
+
+  // Ask the browser not to evict the archive under storage pressure
+  if (navigator.storage?.persist) {
+    const persisted = await navigator.storage.persist();
+    console.log(`Offline storage ${persisted ? 'persisted' : 'may be evicted by the browser'}`);
+  }
+
+  const queue = [...status.missing];
+  const progress = {
+    loaded: 0,
+    total: queue.reduce((sum, file) => sum + file.size, 0),
+    done: 0,
+    files: queue.length,
+    failed: 0
+  };
+  const report = () => {
+    if (onProgress) onProgress({ ...progress });
+  };
+
+  const downloadNext = async () => {
+    while (queue.length > 0) {
+      const file = queue.shift();
+      let received = 0;
+      try {
+        const response = await fetch(file.url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        // Read it through, counting bytes as they arrive
+        const reader = response.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          received += value.length;
+          progress.loaded += value.length;
+          report();
+        }
+      } catch (error) {
+        console.warn(`Offline download failed: ${file.url}`, error);
+        progress.failed++;
+        // Count it as done so the total still adds up
+        progress.loaded += Math.max(file.size - received, 0);
+      }
+      progress.done++;
+      report();
+    }
+  };
+
+  console.log(`Offline download: ${progress.files} files, ${(progress.total / 1048576).toFixed(1)} MB`);
+  report();
+  await Promise.all(Array.from({ length: OFFLINE.CONCURRENCY }, downloadNext));
+  console.log(`Offline download finished${progress.failed > 0 ? `, ${progress.failed} failed` : ''}`);
+
+  return { failed: progress.failed };
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal WebVTT / SRT cue parser
+ *
+ * Only cue timings and text are used: cue settings, STYLE, REGION and NOTE
+ * blocks are ignored, and inline tags such as <v Speaker> or <i> are stripped.
+ */
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '\u200E',
+  '&rlm;': '\u200F'
+};
+
+/**
+ * Parse "hh:mm:ss.ttt", "mm:ss.ttt" or SRT's "hh:mm:ss,ttt" into seconds
+ * @returns {number|null} Seconds, or null if the timestamp is malformed
+ */
+export function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(value.trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+function cleanCueText(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Parse a WebVTT or SRT document
+ * @param {string} source - File contents
+ * @returns {{ cues: Array<{start: number, end: number, text: string}>, skipped: number }}
+ */
+export function parseSubtitles(source) {
+  const blocks = source
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+
+  const cues = [];
+  let skipped = 0;
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+    // Header, NOTE, STYLE and REGION blocks have no timing line. The timing
+    // may be preceded by a cue identifier (always present in SRT).
+    if (timingIndex === -1) return;
+    if (timingIndex > 1) {
+      skipped++;
+      return;
+    }
+
+    const [startPart, endPart] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startPart);
+    const end = parseTimestamp(endPart.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1).map(cleanCueText).join('\n').trim();
+
+    if (start === null || end === null || end <= start || !text) {
+      skipped++;
+      return;
+    }
+
+    cues.push({ start, end, text });
+  });
+
+  cues.sort((a, b) => a.start - b.start);
+  return { cues, skipped };
+}
@@ -0,0 +1,90 @@
+/**
+ * Text normalisation and fuzzy token matching for search
+ *
+ * Matching ignores case and diacritics: Latin accents, Arabic harakat and
+ * tatweel are dropped and the Arabic letter variants that are often written
+ * interchangeably (alef with hamza or madda, alef maqsura, teh marbuta) are
+ * folded together, so "قصة" finds "قِصَّة" and "Bruder" finds "Brüder".
+ */
+
+// Combining marks left after NFKD decomposition, Arabic harakat, Quranic marks, tatweel
+const MARKS = /[\u0300-\u036f\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed\u0640]/g;
+
+export function normalizeText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(MARKS, '')
+    .replace(/ٱ/g, 'ا') // Alef wasla
+    .replace(/ى/g, 'ي') // Alef maqsura
+    .replace(/ة/g, 'ه') // Teh marbuta
+    .toLowerCase()
+    .replace(/ß/g, 'ss');
+}
+
+// Arabic definite article (optionally with "and"), so "الظلال" finds "ظلال"
+const ARTICLE = /^و?ال(?=\p{L}{2})/u;
+
+/**
+ * Normalised words of a text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => word.replace(ARTICLE, ''));
+}
+
+/**
+ * Edit distance between two strings, giving up once it exceeds `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  // Swapped neighbours ("hte") count as one edit
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query word of this length
+function allowedEdits(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well a (normalised) query word matches a word of the text
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+export function matchToken(query, token) {
+  if (token === query) return 1;
+  if (token.startsWith(query)) return 0.9;
+  if (query.length >= 3 && token.includes(query)) return 0.7;
+
+  const max = allowedEdits(query.length);
+  if (max === 0) return 0;
+
+  const edits = editDistance(query, token, max);
+  if (edits <= max) return 0.6 - 0.1 * edits;
+
+  // A typo in a word that is still being typed
+  const prefixEdits = editDistance(query, token.slice(0, query.length), max);
+  return prefixEdits <= max ? 0.4 - 0.1 * prefixEdits : 0;
+}
@@ -1,9 +1,20 @@
 import { defineConfig } from 'vite';
 import glsl from 'vite-plugin-glsl';
 import { resolve } from 'path';
+import { dracoDecoder, precacheManifest } from './scripts/vite-plugin-offline.js';
 
 export default defineConfig({
-  plugins: [glsl()],
+  plugins: [
+    glsl(),
+    dracoDecoder(),
+    precacheManifest({
+      serviceWorker: 'src/sw.js',
+      // Cached when the service worker installs; everything else is the archive
+      shell: ['index.html', 'manifest.webmanifest', 'icons/**', 'draco/**', 'intro/**', '3d_sednaya/scene.json'],
+      // Tiling metadata the app never loads
+      exclude: ['**/vips-properties.xml']
+    })
+  ],
   publicDir: 'public',
   resolve: {
     alias: {